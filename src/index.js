@@ -1,7 +1,8 @@
 'use strict';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import { randomInt, createHash } from 'crypto';
+import { randomBytes, createHash } from 'crypto';
+import { gzipSync, gunzipSync } from 'zlib';
 import dotenv from 'dotenv';
 import Database from 'better-sqlite3';
 import NodeCache from 'node-cache';
@@ -13,6 +14,9 @@ import {
   ContainerBuilder, TextDisplayBuilder, SeparatorBuilder,
   SeparatorSpacingSize, ThumbnailBuilder, SectionBuilder,
   MediaGalleryBuilder, MediaGalleryItemBuilder,
+  AttachmentBuilder, FileBuilder,
+  ModalBuilder, TextInputBuilder, TextInputStyle,
+  RoleSelectMenuBuilder, ChannelSelectMenuBuilder,
 } from 'discord.js';
 
 // ==================== INIT ====================
@@ -32,7 +36,58 @@ const MAX_PRIX_LENGTH    = 256;
 const MAX_COMMENT_LENGTH = 512;
 const PARTICIPANT_CD     = 3000;
 const COMMAND_CD         = 1500;
+const QUIZ_RETRY_CD      = 30 * 1000;
+const WIZARD_TTL         = 10 * 60; // s, sous la validité de 15 min du jeton d'interaction
+const AUDIT_QUERY_TTL    = 14 * 60; // s, idem : la pagination modifie la réponse de la commande
+const AUDIT_PAGE         = 10;
+const BLACKLIST_PAGE     = 10;
+const BLACKLIST_MAX      = 365 * 24 * 60 * 60 * 1000;
+const AUDIT_RETENTION_MAX = 10 * 365 * 24 * 60 * 60 * 1000;
 const PARTICIPANTS_PAGE  = 20;
+const BONUS_TICKETS_CAP  = 10;
+const MAX_BONUS_TICKETS  = 100;
+const MIN_DURATION       = 60 * 1000;
+const MAX_DURATION       = 30 * 24 * 60 * 60 * 1000;
+const DURATION_HARD_MAX  = 90 * 24 * 60 * 60 * 1000;
+const DM_REMINDER_BEFORE = 15 * 60 * 1000;
+const JOB_POLL_MAX       = 60 * 1000;
+const JOB_RETRY_DELAY    = 30 * 1000;
+const JOB_MAX_ATTEMPTS   = 3;
+const JOB_RETENTION      = 7 * 24 * 60 * 60 * 1000;
+const CLAIM_DEADLINE_MAX = 30 * 24 * 60 * 60 * 1000;
+const MAX_REQUIRED_AGE   = 5 * 365 * 24 * 60 * 60 * 1000;
+const MAX_REQUIRED_ROLES = 10;
+const FRAUD_MIN_AGE      = 7 * 24 * 60 * 60 * 1000;
+const FRAUD_BURST        = 5;
+const FRAUD_BURST_WINDOW = 10 * 1000;
+const FRAUD_JOIN_MEMORY  = 24 * 60 * 60 * 1000;
+const MAX_TIERS          = 10;
+const TIER_MEDALS        = ['🥇', '🥈', '🥉'];
+const MAX_QUIZ_ANSWERS   = 10;
+const MAX_TEMPLATES      = 25;
+const MAX_SERIES         = 10;
+const SERIES_RETRY_DELAY = 60 * 60 * 1000;
+const EXPORT_MAX_BYTES   = 8 * 1024 * 1024; // au-delà, le fichier est compressé en gzip
+const BACKUP_MAX_BYTES   = 25 * 1024 * 1024;
+const BACKUP_FORMAT      = 'giveaway-backup';
+const BACKUP_VERSION     = 1;
+const WEEKDAYS = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+const ACTIVITY_BUCKET    = 60 * 1000;
+const ACTIVITY_RETENTION = 90 * 24 * 60 * 60 * 1000;
+const ACTIVITY_MIN_LENGTH = 5;
+const ACTIVITY_PER_MINUTE = 5;
+const INVITE_MIN_STAY    = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE   = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+// Le comptage des messages demande l'intent privilégié Message Content : il n'est activé que sur demande
+const ACTIVITY_TRACKING  = process.env.ACTIVITY_TRACKING === 'true';
+const ACTIVITY_DISABLED  = 'Le comptage des messages est désactivé sur ce bot (`ACTIVITY_TRACKING=true` dans le `.env`).';
+
+const DURATION_UNITS = {
+  sem: 7 * 86400 * 1000, w: 7 * 86400 * 1000,
+  j:   86400 * 1000,     d: 86400 * 1000,
+  h:   3600 * 1000,
+  min: 60 * 1000,        m: 60 * 1000,
+};
 
 const GIVEAWAY_IMAGES = {
   active:    'https://i.imgur.com/h5t1NPw.png',
@@ -55,12 +110,21 @@ const COLORS = {
 
 // ==================== CACHES ====================
 
-const giveawaysCache    = new NodeCache({ stdTTL: 10 * 24 * 60 * 60, checkperiod: 3600 });
+// Pas d'expiration : un giveaway ne quitte le cache qu'à sa fin (deleteGiveaway)
+const giveawaysCache    = new NodeCache({ stdTTL: 0, checkperiod: 3600 });
 const rateLimiterCache  = new NodeCache({ stdTTL: 10, checkperiod: 60 });
 const guildConfigCache  = new NodeCache({ stdTTL: 300, checkperiod: 60 });
+const activityRateCache = new NodeCache({ stdTTL: 60, checkperiod: 60 });
+// Assistant de création : une session par commande, renouvelée à chaque étape
+const wizardSessions    = new NodeCache({ stdTTL: WIZARD_TTL, checkperiod: 30, useClones: false });
+const auditQueries      = new NodeCache({ stdTTL: AUDIT_QUERY_TTL, checkperiod: 60 });
+// Horodatages des arrivées (join:<guildId>) et des participations (enter:<messageId>) pour l'anti-fraude
+const fraudBursts       = new NodeCache({ stdTTL: FRAUD_JOIN_MEMORY / 1000, checkperiod: 600, useClones: false });
+const inviteUses        = new Map(); // guildId → Map(code → { uses, maxUses, expiresAt, inviterId })
+const inviteQueues      = new Map(); // guildId → Promise : les arrivées sont comparées une par une
 const participationLock = new Set();
-const activeTimers      = new Map();
-const dmReminderSent    = new Set();
+const endingGiveaways   = new Set();
+const rerollingGiveaways = new Set();
 
 // ==================== UTILITAIRES ====================
 
@@ -79,6 +143,86 @@ const isValidImageUrl = (url) => {
 
 function toUnix(ms) { return Math.floor(ms / 1000); }
 
+// "45m", "2h30", "10d", "1w2d", "1 j 6 h" → ms (null si illisible)
+function parseDuration(input) {
+  const str = String(input ?? '').toLowerCase().replace(/\s+/g, '');
+  if (!/^(\d+(sem|min|w|j|d|h|m))+\d*$/.test(str)) return null;
+  let total = 0, lastUnit = null;
+  for (const [, n, unit] of str.matchAll(/(\d+)(sem|min|w|j|d|h|m)?/g)) {
+    if (!unit) {
+      if (lastUnit !== 'h') return null;
+      total += Number(n) * DURATION_UNITS.min;
+      continue;
+    }
+    total += Number(n) * DURATION_UNITS[unit];
+    lastUnit = unit;
+  }
+  return total > 0 ? total : null;
+}
+
+function isValidTimezone(timeZone) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone }); return true; } catch { return false; }
+}
+
+// Décalage (ms) du fuseau par rapport à UTC à l'instant ts
+function getTimezoneOffset(ts, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(ts).map(p => [p.type, Number(p.value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+function formatInTimezone(ts, timeZone) {
+  return new Intl.DateTimeFormat('fr-FR', { timeZone, dateStyle: 'short', timeStyle: 'short' }).format(ts);
+}
+
+// "JJ/MM/AAAA HH:MM" lu dans le fuseau donné → timestamp (null si illisible ou date inexistante)
+function parseDateInput(input, timeZone = DEFAULT_TIMEZONE) {
+  const match = String(input ?? '').trim().match(/^(\d{2})\/(\d{2})\/(\d{4})\s+(\d{2}):(\d{2})$/);
+  if (!match) return null;
+  const [day, month, year, hours, minutes] = match.slice(1).map(Number);
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+  if (calendar.getUTCDate() !== day || calendar.getUTCMonth() !== month - 1 || hours > 23 || minutes > 59) return null;
+
+  // Deux passes pour retomber sur le bon décalage autour des changements d'heure
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const offset    = getTimezoneOffset(wallClock, timeZone);
+  const firstPass = wallClock - offset;
+  const corrected = getTimezoneOffset(firstPass, timeZone);
+  return corrected === offset ? firstPass : wallClock - corrected;
+}
+
+function formatDuration(ms) {
+  const parts = [];
+  let rest = Math.round(ms / 60000);
+  const units = [['j', 1440], ['h', 60], ['min', 1]];
+  for (const [label, size] of units) {
+    const n = Math.floor(rest / size);
+    if (n) { parts.push(`${n} ${label}`); rest -= n * size; }
+  }
+  return parts.join(' ') || '0 min';
+}
+
+/**
+ * Durée relative ("2h30") ou date de fin absolue → durée en ms depuis startTime,
+ * bornée par la config du serveur. Lève une Error au message affichable.
+ */
+function resolveDuration(input, startTime, config) {
+  const absolute = parseDateInput(input, config.timezone);
+  const duration = absolute !== null ? absolute - startTime : parseDuration(input);
+  if (duration === null)
+    throw new Error('Durée invalide. Exemples : `45m`, `2h30`, `10d`, `1w2d` ou une date de fin `JJ/MM/AAAA HH:MM`.');
+  if (duration <= 0) throw new Error('La date de fin doit être après le début du giveaway.');
+  if (duration < config.minDuration) throw new Error(`Durée minimale sur ce serveur : ${formatDuration(config.minDuration)}.`);
+  if (duration > config.maxDuration) throw new Error(`Durée maximale sur ce serveur : ${formatDuration(config.maxDuration)}.`);
+  return duration;
+}
+
 function rateLimit(userId, action = 'cmd', cooldown = COMMAND_CD) {
   const key  = `${action}:${userId}`;
   const last = rateLimiterCache.get(key);
@@ -88,21 +232,49 @@ function rateLimit(userId, action = 'cmd', cooldown = COMMAND_CD) {
   return true;
 }
 
-function selectWinners(participants, count) {
-  if (!participants.length) return [];
-  const arr = [...participants];
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = randomInt(0, i + 1);
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr.slice(0, Math.min(count, arr.length));
-}
-
 function hashDraw(participants, winners, timestamp) {
   const payload = JSON.stringify({ participants: [...participants].sort(), winners, timestamp });
   return createHash('sha256').update(payload).digest('hex').slice(0, 16).toUpperCase();
 }
 
+// Commit–reveal : l'engagement SHA-256(graine) est publié à la création, la graine à la fin
+function createSeedCommitment() {
+  const drawSeed = randomBytes(32).toString('hex');
+  return { drawSeed, seedCommit: createHash('sha256').update(drawSeed).digest('hex') };
+}
+
+function verifySeedCommitment(seed, commit) {
+  return !!seed && !!commit && createHash('sha256').update(seed).digest('hex') === commit;
+}
+
+// Entier uniforme dans [0, max) dérivé de la graine (rejet des valeurs biaisées par le modulo)
+function seededInt(seed, label, max) {
+  const range = 2 ** 48;
+  const limit = range - (range % max);
+  for (let i = 0; ; i++) {
+    const v = parseInt(createHash('sha256').update(`${seed}:${label}:${i}`).digest('hex').slice(0, 12), 16);
+    if (v < limit) return v % max;
+  }
+}
+
+/**
+ * Tirage pondéré sans remise, entièrement déterminé par la graine et le pool [[userId, tickets]].
+ * Le pool est trié par userId : n'importe qui peut rejouer le tirage avec /giveaway verify.
+ * Les tirages sont séquentiels : tirer k gagnants donne les k premiers d'un tirage de n ≥ k.
+ */
+function drawWinners(seed, pool, count, salt = 'draw') {
+  const remaining = [...pool].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const winners = [];
+  for (let round = 0; winners.length < count && remaining.length; round++) {
+    const total = remaining.reduce((n, [, t]) => n + t, 0);
+    let ticket  = seededInt(seed, `${salt}:${round}`, total);
+    const idx   = remaining.findIndex(([, t]) => (ticket -= t) < 0);
+    winners.push(remaining[idx][0]);
+    remaining.splice(idx, 1);
+  }
+  return winners;
+}
+
 function getUpdateInterval(remainingMs) {
   if (remainingMs > 24 * 60 * 60 * 1000) return 10 * 60 * 1000;
   if (remainingMs > 60 * 60 * 1000)      return 2  * 60 * 1000;
@@ -110,22 +282,324 @@ function getUpdateInterval(remainingMs) {
   return 10 * 1000;
 }
 
-function getMemberTickets(member, bonusRoles) {
+// mode 'max'   : le rôle le plus généreux l'emporte (3 tickets + 2 tickets → 3)
+// mode 'stack' : les tickets au-delà du ticket de base se cumulent (3 + 2 → 1 + 2 + 1 = 4)
+function getMemberTickets(member, bonusRoles, { mode = 'max', cap = BONUS_TICKETS_CAP } = {}) {
   let t = 1;
-  for (const [rId, bonus] of Object.entries(bonusRoles))
-    if (member.roles.cache.has(rId)) t = Math.max(t, Number(bonus));
-  return Math.min(t, 10);
+  for (const [rId, bonus] of Object.entries(bonusRoles)) {
+    if (!member.roles.cache.has(rId)) continue;
+    t = mode === 'stack' ? t + Math.max(0, Number(bonus) - 1) : Math.max(t, Number(bonus));
+  }
+  return Math.min(t, cap);
 }
 
-function buildDrawPool(participants, memberCache, bonusRoles) {
-  if (!Object.keys(bonusRoles).length) return participants;
-  const pool = [];
-  for (const uid of participants) {
+// Pool pondéré [[userId, tickets]], trié par userId ; extraTickets ajoute les bonus hors rôles, sous le même plafond
+// suspects : participations signalées non vérifiées, exclues ('exclude') ou ramenées à un ticket ('reduce')
+function buildDrawPool(participants, memberCache, bonusRoles, bonusOpts = {}, extraTickets = () => 0, suspects = null) {
+  const cap = bonusOpts.cap ?? BONUS_TICKETS_CAP;
+  const isSuspect = (uid) => !!suspects?.ids.has(uid);
+  return [...participants].sort().filter(uid => !(isSuspect(uid) && suspects.policy === 'exclude')).map(uid => {
+    if (isSuspect(uid)) return [uid, 1];
     const m = memberCache.get(uid);
-    const t = m ? getMemberTickets(m, bonusRoles) : 1;
-    for (let i = 0; i < t; i++) pool.push(uid);
+    const base = m ? getMemberTickets(m, bonusRoles, bonusOpts) : 1;
+    return [uid, Math.min(base + extraTickets(uid), cap)];
+  });
+}
+
+// ==================== PALIERS DE PRIX ====================
+
+// "Nitro x1; Clé Steam x2; Rôle VIP x7" → [{ label, count }] dans l'ordre d'attribution
+function parseTiers(input, gagnants) {
+  if (!input) return [];
+  const tiers = input.split(/[;\n]/).map(s => s.trim()).filter(Boolean).map(segment => {
+    const match = segment.match(/^(.+?)\s*[x×]\s*(\d+)$/i);
+    const label = sanitize(match ? match[1] : segment, 80);
+    const count = match ? Number(match[2]) : 1;
+    if (!label || count < 1) throw new Error(`Palier invalide : \`${sanitize(segment, 64)}\`.`);
+    return { label, count };
+  });
+  if (tiers.length > MAX_TIERS) throw new Error(`Maximum ${MAX_TIERS} paliers.`);
+  const total = tiers.reduce((n, t) => n + t.count, 0);
+  if (total !== gagnants)
+    throw new Error(`Les paliers totalisent ${total} gagnant(s) alors que le giveaway en prévoit ${gagnants}.`);
+  return tiers;
+}
+
+function formatTiers(giveaway) {
+  if (!giveaway.tiers?.length) return '';
+  const lines = giveaway.tiers.map((t, i) => `${TIER_MEDALS[i] ?? '🏅'} ${sanitize(t.label, 80)} ×${t.count}`);
+  return `\n\n**🏅 Paliers :**\n${lines.join('\n')}`;
+}
+
+/**
+ * Mentions des gagnants ; avec des paliers, winners[i] remporte le palier qui couvre le rang i.
+ * Un rang à null n'est pas affiché (reroll : seuls les remplaçants sont annoncés).
+ */
+function formatWinners(giveaway, winners) {
+  if (!giveaway.tiers?.length) return winners.filter(Boolean).map(id => `<@${id}>`).join(', ');
+  const lines = [];
+  let rank = 0;
+  giveaway.tiers.forEach((tier, i) => {
+    const ids = winners.slice(rank, rank + tier.count).filter(Boolean);
+    rank += tier.count;
+    if (ids.length) lines.push(`${TIER_MEDALS[i] ?? '🏅'} **${sanitize(tier.label, 80)} :** ${ids.map(id => `<@${id}>`).join(', ')}`);
+  });
+  return lines.length ? `\n${lines.join('\n')}` : '';
+}
+
+// ==================== QUIZ ====================
+
+// Comparaison insensible à la casse, aux accents et à la ponctuation
+function normalizeAnswer(text) {
+  return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// question + "Paris | Lutèce" → { question, answers } (null sans question)
+function parseQuiz(question, answersInput) {
+  if (!question && !answersInput) return null;
+  if (!question || !answersInput) throw new Error('Un quiz demande une `question` et ses `reponses`.');
+  const answers = [...new Set(answersInput.split(/[|;]/).map(a => sanitize(a.trim(), 100)).filter(a => normalizeAnswer(a)))];
+  if (!answers.length) throw new Error('Indiquez au moins une réponse acceptée.');
+  if (answers.length > MAX_QUIZ_ANSWERS) throw new Error(`Maximum ${MAX_QUIZ_ANSWERS} réponses acceptées.`);
+  return { question: sanitize(question, 200), answers };
+}
+
+function formatQuestion(giveaway) {
+  return giveaway.quiz ? `\n\n**❓ Question :** ${giveaway.quiz.question}\n*Cliquez sur « Répondre » : seules les bonnes réponses participent.*` : '';
+}
+
+function isCorrectAnswer(quiz, answer) {
+  const given = normalizeAnswer(answer);
+  return Boolean(given) && quiz.answers.some(a => normalizeAnswer(a) === given);
+}
+
+// ==================== CONDITIONS DE PARTICIPATION ====================
+
+// Extrait les rôles d'une saisie libre ("@VIP @Actif", identifiants séparés par des espaces ou virgules)
+function parseRoleList(input, guild) {
+  if (!input) return [];
+  const ids = [...new Set(input.match(/\d{17,20}/g) ?? [])];
+  if (!ids.length) throw new Error(`Rôles invalides : \`${sanitize(input, 64)}\`. Mentionnez les rôles (@rôle) ou collez leurs identifiants.`);
+  if (ids.length > MAX_REQUIRED_ROLES) throw new Error(`Maximum ${MAX_REQUIRED_ROLES} rôles par condition.`);
+  const unknown = ids.find(id => !guild.roles.cache.has(id));
+  if (unknown) throw new Error(`Rôle introuvable : \`${unknown}\`.`);
+  return ids;
+}
+
+function parseRequiredAge(input, label) {
+  if (!input) return null;
+  const ms = parseDuration(input);
+  if (ms === null || ms > MAX_REQUIRED_AGE) throw new Error(`${label} invalide. Exemples : \`7d\`, \`2w\`, \`90d\`.`);
+  return ms;
+}
+
+/**
+ * Lit les options de conditions communes à create et schedule.
+ * Seules les conditions renseignées sont conservées : {} = ouvert à tous.
+ */
+function readRequirementOptions(interaction) {
+  const { options, guild } = interaction;
+  const requirements = {
+    anyRoles:      parseRoleList(options.getString('roles_un_de'), guild),
+    allRoles:      parseRoleList(options.getString('roles_tous'), guild),
+    excludedRoles: parseRoleList(options.getString('roles_exclus'), guild),
+    minAccountAge: parseRequiredAge(options.getString('age_compte'), 'Âge du compte'),
+    minMemberAge:  parseRequiredAge(options.getString('anciennete'), 'Ancienneté'),
+    boosterOnly:   options.getBoolean('boosters') ?? false,
+    minMessages:   options.getInteger('messages_min') ?? null,
+    messagesWindow: parseRequiredAge(options.getString('messages_periode'), 'Période de messages'),
+    minInvites:    options.getInteger('invites_min') ?? null,
+  };
+  if (requirements.minMessages && !ACTIVITY_TRACKING) throw new Error(ACTIVITY_DISABLED);
+  if (requirements.messagesWindow && !requirements.minMessages)
+    throw new Error('Indiquez `messages_min` avec `messages_periode`.');
+  if (requirements.messagesWindow > ACTIVITY_RETENTION)
+    throw new Error(`La période de messages ne peut pas dépasser ${formatDuration(ACTIVITY_RETENTION)}.`);
+  const conflict = requirements.excludedRoles.find(id => requirements.allRoles.includes(id) || requirements.anyRoles.includes(id));
+  if (conflict) throw new Error(`<@&${conflict}> ne peut pas être à la fois requis et exclu.`);
+  return Object.fromEntries(Object.entries(requirements).filter(([, v]) => Array.isArray(v) ? v.length : v));
+}
+
+// Tickets supplémentaires hors rôles bonus ({} = aucun)
+function readTicketRuleOptions(interaction) {
+  const rules = {
+    perMessages: interaction.options.getInteger('bonus_messages'),
+    perInvites:  interaction.options.getInteger('bonus_invites'),
+  };
+  if (rules.perMessages && !ACTIVITY_TRACKING) throw new Error(ACTIVITY_DISABLED);
+  return Object.fromEntries(Object.entries(rules).filter(([, v]) => v));
+}
+
+const roleMentions = ids => ids.map(id => `<@&${id}>`).join(', ');
+
+// Première condition non remplie → message affiché au membre, null si tout est rempli
+function checkRequirements(member, giveaway) {
+  const req = giveaway.requirements ?? {};
+  const has = id => member.roles.cache.has(id);
+  const now = Date.now();
+
+  if (giveaway.roleRequired && !has(giveaway.roleRequired))
+    return `Rôle requis : <@&${giveaway.roleRequired}>`;
+
+  const excluded = (req.excludedRoles ?? []).find(has);
+  if (excluded) return `Les membres ayant le rôle <@&${excluded}> ne peuvent pas participer à ce giveaway.`;
+
+  const missing = (req.allRoles ?? []).filter(id => !has(id));
+  if (missing.length) return `Il vous manque ${missing.length > 1 ? 'les rôles' : 'le rôle'} ${roleMentions(missing)}.`;
+
+  if (req.anyRoles?.length && !req.anyRoles.some(has))
+    return `Vous devez avoir au moins un de ces rôles : ${roleMentions(req.anyRoles)}.`;
+
+  if (req.boosterOnly && !member.premiumSinceTimestamp)
+    return 'Ce giveaway est réservé aux membres qui boostent le serveur.';
+
+  if (req.minAccountAge) {
+    const age = now - member.user.createdTimestamp;
+    if (age < req.minAccountAge)
+      return `Votre compte Discord doit avoir au moins ${formatDuration(req.minAccountAge)} (il a ${formatDuration(age)}).`;
+  }
+
+  if (req.minMemberAge) {
+    const since = member.joinedTimestamp ? now - member.joinedTimestamp : 0;
+    if (since < req.minMemberAge)
+      return `Vous devez être membre du serveur depuis au moins ${formatDuration(req.minMemberAge)} (depuis ${formatDuration(since)} actuellement).`;
+  }
+
+  if (req.minMessages) {
+    const count = countMessages(giveaway.guildId, member.id, activitySince(giveaway, req.messagesWindow));
+    if (count < req.minMessages)
+      return `Il faut au moins ${req.minMessages} messages ${formatActivityWindow(req.messagesWindow)} (vous en avez ${count}).`;
+  }
+
+  if (req.minInvites) {
+    const count = countValidInvites(giveaway.guildId, member.id);
+    if (count < req.minInvites)
+      return `Il faut au moins ${req.minInvites} invitation(s) valide(s) (vous en avez ${count}). ` +
+        `Un invité compte après ${formatDuration(getGuildConfig(giveaway.guildId).inviteMinStay)} sur le serveur — voir \`/giveaway invites\`.`;
+  }
+
+  return null;
+}
+
+// Bloc "Conditions" des containers, vide si le giveaway est ouvert à tous
+function formatRequirements(giveaway) {
+  const req   = giveaway.requirements ?? {};
+  const lines = [];
+  if (giveaway.roleRequired)     lines.push(`• Rôle requis : <@&${giveaway.roleRequired}>`);
+  if (req.allRoles?.length)      lines.push(`• Tous ces rôles : ${roleMentions(req.allRoles)}`);
+  if (req.anyRoles?.length)      lines.push(`• Au moins un de ces rôles : ${roleMentions(req.anyRoles)}`);
+  if (req.excludedRoles?.length) lines.push(`• Rôles exclus : ${roleMentions(req.excludedRoles)}`);
+  if (req.boosterOnly)           lines.push('• Boosters du serveur uniquement');
+  if (req.minAccountAge)         lines.push(`• Compte Discord de plus de ${formatDuration(req.minAccountAge)}`);
+  if (req.minMemberAge)          lines.push(`• Membre du serveur depuis plus de ${formatDuration(req.minMemberAge)}`);
+  if (req.minInvites)            lines.push(`• ${req.minInvites} invitation${req.minInvites > 1 ? 's' : ''} valide${req.minInvites > 1 ? 's' : ''}`);
+  if (req.minMessages)           lines.push(`• ${req.minMessages} message${req.minMessages > 1 ? 's' : ''} ${formatActivityWindow(req.messagesWindow)}`);
+  return lines.length ? `\n\n**🔒 Conditions de participation :**\n${lines.join('\n')}` : '';
+}
+
+// ==================== ACTIVITÉ ====================
+
+// Compteurs à la minute : "depuis le début du giveaway" est compté à la minute près
+const activityBucket = ts => Math.floor(ts / ACTIVITY_BUCKET) * ACTIVITY_BUCKET;
+
+function activitySince(giveaway, window) {
+  return window ? Date.now() - window : giveaway.startTime;
+}
+
+function formatActivityWindow(window) {
+  return window ? `sur les ${formatDuration(window)} derniers` : 'depuis le début du giveaway';
+}
+
+function countMessages(guildId, userId, since) {
+  return stmts.sumActivity.get(guildId, userId, activityBucket(since)).total ?? 0;
+}
+
+// Tickets gagnés par l'activité (messages pendant le giveaway, invitations valides), hors rôles bonus
+function getActivityTickets(giveaway, userId) {
+  const rules = giveaway.ticketRules ?? {};
+  let extra = 0;
+  if (rules.perMessages) extra += Math.floor(countMessages(giveaway.guildId, userId, giveaway.startTime) / rules.perMessages);
+  if (rules.perInvites)  extra += Math.floor(countValidInvites(giveaway.guildId, userId) / rules.perInvites);
+  return extra;
+}
+
+// Anti-spam : salons suivis, longueur minimale et plafond par minute, réglables par serveur
+function recordMessage(message) {
+  if (!message.inGuild() || message.author.bot || message.webhookId || message.system) return;
+  const config  = getGuildConfig(message.guildId);
+  const channel = message.channel;
+  if (config.activityChannels.length
+    && !config.activityChannels.includes(channel.id)
+    && !(channel.isThread() && config.activityChannels.includes(channel.parentId))) return;
+  if ((message.content ?? '').trim().length < config.activityMinLength) return;
+
+  const key   = `${message.guildId}:${message.author.id}:${Math.floor(message.createdTimestamp / 60000)}`;
+  const count = (activityRateCache.get(key) ?? 0) + 1;
+  activityRateCache.set(key, count);
+  if (count > config.activityPerMinute) return;
+
+  stmts.addActivity.run(message.guildId, message.author.id, activityBucket(message.createdTimestamp));
+}
+
+// ==================== INVITATIONS ====================
+
+// Un invité est valide s'il est resté au moins inviteMinStay sur le serveur, qu'il soit parti ensuite ou non
+function getInviteStats(guildId, userId) {
+  const { inviteMinStay } = getGuildConfig(guildId);
+  return stmts.inviteStats.get({ guildId, userId, now: Date.now(), stay: inviteMinStay });
+}
+
+function countValidInvites(guildId, userId) {
+  return getInviteStats(guildId, userId).valid ?? 0;
+}
+
+// Photographie des invitations (nécessite ManageGuild) ; retourne la précédente
+async function cacheGuildInvites(guild) {
+  const invites = await guild.invites.fetch().catch(() => null);
+  if (!invites) return null;
+  const previous = inviteUses.get(guild.id) ?? null;
+  inviteUses.set(guild.id, new Map(invites.map(i => [i.code, inviteSnapshot(i)])));
+  return previous;
+}
+
+function inviteSnapshot(invite) {
+  return {
+    uses: invite.uses ?? 0,
+    maxUses: invite.maxUses ?? 0,
+    expiresAt: invite.expiresTimestamp ?? null,
+    inviterId: invite.inviterId ?? invite.inviter?.id ?? null
+  };
+}
+
+// Compare les compteurs avant/après l'arrivée ; une invitation à usage unique disparaît une fois utilisée.
+// Si plusieurs arrivées se sont glissées entre les deux photographies, l'inviteur reste inconnu.
+async function findUsedInvite(guild) {
+  const before = await cacheGuildInvites(guild);
+  const after  = inviteUses.get(guild.id);
+  if (!before || !after) return null;
+  const increased = [...after].filter(([code, inv]) => inv.uses > (before.get(code)?.uses ?? 0));
+  if (increased.length) {
+    if (increased.length > 1) return null;
+    const [code, inv] = increased[0];
+    return inv.uses - (before.get(code)?.uses ?? 0) === 1 ? { code, inviterId: inv.inviterId } : null;
   }
-  return pool;
+  const vanished = [...before].filter(([code]) => !after.has(code));
+  return vanished.length === 1 ? { code: vanished[0][0], inviterId: vanished[0][1].inviterId } : null;
+}
+
+// Les arrivées d'un même serveur passent l'une après l'autre pour ne pas partager la même photographie
+function findUsedInviteQueued(guild) {
+  const run = (inviteQueues.get(guild.id) ?? Promise.resolve()).then(() => findUsedInvite(guild));
+  inviteQueues.set(guild.id, run.catch(() => null));
+  return run;
+}
+
+async function recordMemberJoin(member) {
+  if (member.user.bot) return;
+  const used = await findUsedInviteQueued(member.guild);
+  if (!used?.inviterId || used.inviterId === member.id) return;
+  stmts.upsertInvite.run(member.guild.id, member.id, used.inviterId, used.code, Date.now());
 }
 
 let clientInstance = null;
@@ -162,7 +636,20 @@ db.exec(`
     bonusRoles   TEXT DEFAULT '{}',
     drawHash     TEXT,
     scheduledStart INTEGER,
-    roleMention     TEXT
+    roleMention     TEXT,
+    drawSeed     TEXT,
+    seedCommit   TEXT,
+    requirements TEXT DEFAULT '{}',
+    ticketRules  TEXT DEFAULT '{}',
+    seriesId     INTEGER,
+    pausedAt     INTEGER,
+    mode         TEXT,
+    tiers        TEXT DEFAULT '[]',
+    quiz         TEXT,
+    review       TEXT DEFAULT '{}',
+    restoredFrom TEXT,
+    bonusMode    TEXT,
+    bonusCap     INTEGER
   );
 
   CREATE TABLE IF NOT EXISTS giveaway_history (
@@ -175,7 +662,43 @@ db.exec(`
     participantsList TEXT NOT NULL DEFAULT '[]',
     winners      TEXT NOT NULL,
     drawHash     TEXT,
-    endedAt      INTEGER NOT NULL
+    endedAt      INTEGER NOT NULL,
+    seed         TEXT,
+    seedCommit   TEXT,
+    pool         TEXT,
+    messageId    TEXT,
+    threadId     TEXT,
+    parentId     INTEGER,
+    drawSalt     TEXT,
+    commentaire  TEXT,
+    image        TEXT,
+    settings     TEXT,
+    seriesId     INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS giveaway_series (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    guildId    TEXT NOT NULL,
+    channelId  TEXT NOT NULL,
+    settings   TEXT NOT NULL,
+    rule       TEXT NOT NULL,
+    status     TEXT NOT NULL DEFAULT 'active',
+    createdBy  TEXT NOT NULL,
+    createdAt  INTEGER NOT NULL,
+    nextRunAt  INTEGER,
+    lastRunAt  INTEGER,
+    runCount   INTEGER NOT NULL DEFAULT 0,
+    currentMessageId TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS templates (
+    guildId   TEXT NOT NULL,
+    name      TEXT NOT NULL COLLATE NOCASE,
+    settings  TEXT NOT NULL,
+    createdBy TEXT NOT NULL,
+    createdAt INTEGER NOT NULL,
+    updatedAt INTEGER NOT NULL,
+    PRIMARY KEY (guildId, name)
   );
 
   CREATE TABLE IF NOT EXISTS blacklist (
@@ -184,6 +707,7 @@ db.exec(`
     addedBy TEXT NOT NULL,
     reason  TEXT,
     addedAt INTEGER NOT NULL,
+    expiresAt INTEGER,
     PRIMARY KEY (userId, guildId)
   );
 
@@ -204,9 +728,30 @@ db.exec(`
     allowedRoles     TEXT DEFAULT '[]',
     maxConcurrent    INTEGER DEFAULT 5,
     dmReminder       INTEGER DEFAULT 1,
+    bonusRoles       TEXT DEFAULT '{}',
+    bonusMode        TEXT DEFAULT 'max',
+    bonusCap         INTEGER DEFAULT 10,
+    minDuration      INTEGER,
+    maxDuration      INTEGER,
+    timezone         TEXT,
     updatedAt        INTEGER NOT NULL
   );
 
+  CREATE TABLE IF NOT EXISTS jobs (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    type        TEXT NOT NULL,
+    jobKey      TEXT NOT NULL UNIQUE,
+    ref         TEXT,
+    payload     TEXT NOT NULL DEFAULT '{}',
+    runAt       INTEGER NOT NULL,
+    status      TEXT NOT NULL DEFAULT 'pending',
+    attempts    INTEGER NOT NULL DEFAULT 0,
+    maxAttempts INTEGER NOT NULL DEFAULT 3,
+    lastError   TEXT,
+    createdAt   INTEGER NOT NULL,
+    updatedAt   INTEGER NOT NULL
+  );
+
   CREATE TABLE IF NOT EXISTS user_stats (
     userId       TEXT NOT NULL,
     guildId      TEXT NOT NULL,
@@ -215,6 +760,35 @@ db.exec(`
     lastUpdated  INTEGER NOT NULL,
     PRIMARY KEY (userId, guildId)
   );
+
+  CREATE TABLE IF NOT EXISTS message_activity (
+    guildId TEXT NOT NULL,
+    userId  TEXT NOT NULL,
+    bucket  INTEGER NOT NULL,
+    count   INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (guildId, userId, bucket)
+  );
+
+  CREATE TABLE IF NOT EXISTS invites (
+    guildId   TEXT NOT NULL,
+    inviteeId TEXT NOT NULL,
+    inviterId TEXT NOT NULL,
+    code      TEXT,
+    joinedAt  INTEGER NOT NULL,
+    leftAt    INTEGER,
+    PRIMARY KEY (guildId, inviteeId)
+  );
+
+  CREATE TABLE IF NOT EXISTS prize_claims (
+    historyId INTEGER NOT NULL,
+    userId    TEXT NOT NULL,
+    guildId   TEXT NOT NULL,
+    status    TEXT NOT NULL DEFAULT 'pending',
+    deadline  INTEGER,
+    claimedAt INTEGER,
+    updatedAt INTEGER NOT NULL,
+    PRIMARY KEY (historyId, userId)
+  );
 `);
 
 db.exec(`
@@ -226,20 +800,67 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_audit_guildId ON audit_log (guildId);
   CREATE INDEX IF NOT EXISTS idx_audit_guild_created ON audit_log (guildId, createdAt DESC);
   CREATE INDEX IF NOT EXISTS idx_stats_guildId_wins ON user_stats (guildId, wins DESC);
+  CREATE INDEX IF NOT EXISTS idx_jobs_status_runAt ON jobs (status, runAt);
+  CREATE INDEX IF NOT EXISTS idx_jobs_ref ON jobs (ref);
+  CREATE INDEX IF NOT EXISTS idx_activity_bucket ON message_activity (bucket);
+  CREATE INDEX IF NOT EXISTS idx_invites_inviter ON invites (guildId, inviterId);
+  CREATE INDEX IF NOT EXISTS idx_claims_pending ON prize_claims (historyId, status, deadline);
 `);
 
 console.log('✅ Index créés / vérifiés');
 
-const cols = db.pragma('table_info(giveaways)').map(c => c.name);
-if (!cols.includes('scheduledStart')) {
-  db.exec('ALTER TABLE giveaways ADD COLUMN scheduledStart INTEGER');
-  console.log('✅ Colonne scheduledStart ajoutée');
-}
-if (!cols.includes('roleMention')) {
-  db.exec('ALTER TABLE giveaways ADD COLUMN roleMention TEXT');
-  console.log('✅ Colonne roleMention ajoutée');
+function ensureColumn(table, column, definition) {
+  const existing = db.pragma(`table_info(${table})`).map(c => c.name);
+  if (existing.includes(column)) return;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`✅ Colonne ${column} ajoutée (${table})`);
 }
 
+ensureColumn('giveaways',    'scheduledStart', 'INTEGER');
+ensureColumn('giveaways',    'roleMention',    'TEXT');
+ensureColumn('giveaways',    'drawSeed',       'TEXT');
+ensureColumn('giveaways',    'seedCommit',     'TEXT');
+ensureColumn('giveaways',    'requirements',   "TEXT DEFAULT '{}'");
+ensureColumn('giveaways',    'ticketRules',    "TEXT DEFAULT '{}'");
+ensureColumn('giveaways',    'seriesId',       'INTEGER');
+ensureColumn('giveaways',    'pausedAt',       'INTEGER');
+ensureColumn('giveaways',    'mode',           'TEXT');
+ensureColumn('giveaways',    'tiers',          "TEXT DEFAULT '[]'");
+ensureColumn('giveaways',    'quiz',           'TEXT');
+ensureColumn('giveaways',    'review',         "TEXT DEFAULT '{}'");
+ensureColumn('giveaways',    'restoredFrom',   'TEXT');
+ensureColumn('giveaways',    'bonusMode',      'TEXT');
+ensureColumn('giveaways',    'bonusCap',       'INTEGER');
+ensureColumn('giveaway_history', 'seed',       'TEXT');
+ensureColumn('giveaway_history', 'seedCommit', 'TEXT');
+ensureColumn('giveaway_history', 'pool',       'TEXT');
+ensureColumn('giveaway_history', 'messageId',  'TEXT');
+ensureColumn('giveaway_history', 'threadId',   'TEXT');
+ensureColumn('giveaway_history', 'parentId',   'INTEGER');
+ensureColumn('giveaway_history', 'drawSalt',   'TEXT');
+ensureColumn('giveaway_history', 'commentaire', 'TEXT');
+ensureColumn('giveaway_history', 'image',      'TEXT');
+ensureColumn('giveaway_history', 'settings',   'TEXT');
+ensureColumn('giveaway_history', 'seriesId',   'INTEGER');
+ensureColumn('blacklist',    'expiresAt',      'INTEGER');
+ensureColumn('guild_config', 'bonusRoles',     "TEXT DEFAULT '{}'");
+ensureColumn('guild_config', 'bonusMode',      "TEXT DEFAULT 'max'");
+ensureColumn('guild_config', 'bonusCap',       'INTEGER DEFAULT 10');
+ensureColumn('guild_config', 'minDuration',    'INTEGER');
+ensureColumn('guild_config', 'maxDuration',    'INTEGER');
+ensureColumn('guild_config', 'timezone',       'TEXT');
+ensureColumn('guild_config', 'claimDeadline',  'INTEGER');
+ensureColumn('guild_config', 'activityMinLength', 'INTEGER');
+ensureColumn('guild_config', 'activityPerMinute', 'INTEGER');
+ensureColumn('guild_config', 'activityChannels',  "TEXT DEFAULT '[]'");
+ensureColumn('guild_config', 'inviteMinStay',  'INTEGER');
+ensureColumn('guild_config', 'auditRetention', 'INTEGER');
+ensureColumn('guild_config', 'fraudMode',      "TEXT DEFAULT 'off'");
+ensureColumn('guild_config', 'fraudMinAge',    'INTEGER');
+ensureColumn('guild_config', 'fraudAvatar',    'INTEGER DEFAULT 1');
+ensureColumn('guild_config', 'fraudBurst',     'INTEGER');
+ensureColumn('guild_config', 'fraudDraw',      "TEXT DEFAULT 'exclude'");
+
 console.log('✅ Base de données initialisée');
 
 // ==================== PREPARED STATEMENTS ====================
@@ -248,27 +869,88 @@ const stmts = {
   upsertGiveaway: db.prepare(`
     INSERT OR REPLACE INTO giveaways
       (messageId,channelId,guildId,prix,gagnants,endTime,participants,
-       roleRequired,commentaire,image,organizer,startTime,duration,bonusRoles,drawHash,scheduledStart,roleMention)
-    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+       roleRequired,commentaire,image,organizer,startTime,duration,bonusRoles,drawHash,scheduledStart,roleMention,
+       drawSeed,seedCommit,requirements,ticketRules,seriesId,pausedAt,mode,tiers,quiz,review,restoredFrom,bonusMode,bonusCap)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
   `),
   deleteGiveaway:     db.prepare('DELETE FROM giveaways WHERE messageId = ?'),
+  getDropState:       db.prepare('SELECT participants, gagnants, endTime, pausedAt FROM giveaways WHERE messageId = ?'),
+  setParticipants:    db.prepare('UPDATE giveaways SET participants = ? WHERE messageId = ?'),
   selectAll:          db.prepare('SELECT * FROM giveaways'),
   insertHistory:      db.prepare(`
     INSERT INTO giveaway_history
-      (guildId,channelId,prix,organizer,participants,participantsList,winners,drawHash,endedAt)
-    VALUES (?,?,?,?,?,?,?,?,?)
+      (guildId,channelId,prix,organizer,participants,participantsList,winners,drawHash,endedAt,seed,seedCommit,pool,
+       messageId,threadId,parentId,drawSalt,commentaire,image,settings,seriesId)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+  `),
+  setHistoryThread:   db.prepare('UPDATE giveaway_history SET threadId=? WHERE id=?'),
+  historyChain:       db.prepare('SELECT * FROM giveaway_history WHERE id=? OR parentId=? ORDER BY id'),
+  getHistoryById:     db.prepare('SELECT * FROM giveaway_history WHERE id=?'),
+  upsertTemplate:     db.prepare(`
+    INSERT INTO templates (guildId,name,settings,createdBy,createdAt,updatedAt) VALUES (?,?,?,?,?,?)
+    ON CONFLICT(guildId,name) DO UPDATE SET settings = excluded.settings, updatedAt = excluded.updatedAt
+  `),
+  getTemplate:        db.prepare('SELECT * FROM templates WHERE guildId=? AND name=?'),
+  listTemplates:      db.prepare('SELECT * FROM templates WHERE guildId=? ORDER BY name'),
+  countTemplates:     db.prepare('SELECT COUNT(*) AS cnt FROM templates WHERE guildId=?'),
+  deleteTemplate:     db.prepare('DELETE FROM templates WHERE guildId=? AND name=?'),
+  insertSeries:       db.prepare(`
+    INSERT INTO giveaway_series (guildId,channelId,settings,rule,status,createdBy,createdAt)
+    VALUES (?,?,?,?,'active',?,?)
   `),
-  isBlacklisted:      db.prepare('SELECT 1 FROM blacklist WHERE userId=? AND guildId=?'),
-  addBlacklist:       db.prepare('INSERT OR REPLACE INTO blacklist (userId,guildId,addedBy,reason,addedAt) VALUES (?,?,?,?,?)'),
+  getSeries:          db.prepare('SELECT * FROM giveaway_series WHERE id=?'),
+  listSeries:         db.prepare("SELECT * FROM giveaway_series WHERE guildId=? AND status != 'stopped' ORDER BY id"),
+  countSeries:        db.prepare("SELECT COUNT(*) AS cnt FROM giveaway_series WHERE guildId=? AND status != 'stopped'"),
+  setSeriesStatus:    db.prepare('UPDATE giveaway_series SET status=? WHERE id=?'),
+  setSeriesNextRun:   db.prepare('UPDATE giveaway_series SET nextRunAt=? WHERE id=?'),
+  claimSeriesRun:     db.prepare('UPDATE giveaway_series SET nextRunAt=NULL WHERE id=? AND nextRunAt IS NOT NULL'),
+  markSeriesRun:      db.prepare('UPDATE giveaway_series SET lastRunAt=?, runCount=runCount+1, currentMessageId=? WHERE id=?'),
+  // Une interdiction échue ne compte plus, même avant le passage du job qui la supprime
+  getBlacklistEntry:  db.prepare('SELECT * FROM blacklist WHERE userId=? AND guildId=? AND (expiresAt IS NULL OR expiresAt > ?)'),
+  addBlacklist:       db.prepare('INSERT OR REPLACE INTO blacklist (userId,guildId,addedBy,reason,addedAt,expiresAt) VALUES (?,?,?,?,?,?)'),
   removeBlacklist:    db.prepare('DELETE FROM blacklist WHERE userId=? AND guildId=?'),
+  expireBlacklist:    db.prepare('DELETE FROM blacklist WHERE userId=? AND guildId=? AND expiresAt IS NOT NULL AND expiresAt <= ?'),
+  pageBlacklist:      db.prepare('SELECT * FROM blacklist WHERE guildId=? AND (expiresAt IS NULL OR expiresAt > ?) ORDER BY addedAt DESC LIMIT ? OFFSET ?'),
+  countBlacklist:     db.prepare('SELECT COUNT(*) AS cnt FROM blacklist WHERE guildId=? AND (expiresAt IS NULL OR expiresAt > ?)'),
   insertAudit:        db.prepare('INSERT INTO audit_log (guildId,action,actorId,targetId,detail,createdAt) VALUES (?,?,?,?,?,?)'),
+  auditPage:          db.prepare(`
+    SELECT * FROM audit_log
+    WHERE guildId=@guildId AND (@action IS NULL OR action LIKE @action) AND (@actorId IS NULL OR actorId=@actorId)
+      AND (@targetId IS NULL OR targetId=@targetId) AND createdAt BETWEEN @from AND @to
+    ORDER BY createdAt DESC, id DESC LIMIT @limit OFFSET @offset
+  `),
+  auditCount:         db.prepare(`
+    SELECT COUNT(*) AS cnt FROM audit_log
+    WHERE guildId=@guildId AND (@action IS NULL OR action LIKE @action) AND (@actorId IS NULL OR actorId=@actorId)
+      AND (@targetId IS NULL OR targetId=@targetId) AND createdAt BETWEEN @from AND @to
+  `),
+  // Rétention par serveur, uniquement si elle a été choisie (absente ou 0 = illimitée)
+  pruneAudit:         db.prepare(`
+    DELETE FROM audit_log WHERE id IN (
+      SELECT a.id FROM audit_log a JOIN guild_config c ON c.guildId = a.guildId
+      WHERE c.auditRetention > 0 AND a.createdAt < @now - c.auditRetention
+    )
+  `),
   listHistory:        db.prepare('SELECT * FROM giveaway_history WHERE guildId=? ORDER BY endedAt DESC LIMIT 10'),
+  historyRange:       db.prepare('SELECT * FROM giveaway_history WHERE guildId=? AND endedAt BETWEEN ? AND ? ORDER BY endedAt'),
+  allStats:           db.prepare('SELECT * FROM user_stats WHERE guildId=? ORDER BY wins DESC, participations DESC'),
+  listBlacklist:      db.prepare('SELECT * FROM blacklist WHERE guildId=? ORDER BY addedAt'),
+  historyAll:         db.prepare('SELECT * FROM giveaway_history WHERE guildId=? ORDER BY id'),
+  guildClaims:        db.prepare('SELECT * FROM prize_claims WHERE guildId=? ORDER BY rowid'),
+  findHistoryDuplicate: db.prepare('SELECT id FROM giveaway_history WHERE guildId=? AND (drawHash=? OR (messageId=? AND endedAt=?))'),
+  restoreStats:       db.prepare('INSERT OR REPLACE INTO user_stats (userId,guildId,participations,wins,lastUpdated) VALUES (?,?,?,?,?)'),
+  restoreTemplate:    db.prepare('INSERT OR REPLACE INTO templates (guildId,name,settings,createdBy,createdAt,updatedAt) VALUES (?,?,?,?,?,?)'),
+  restoreClaim:       db.prepare('INSERT OR IGNORE INTO prize_claims (historyId,userId,guildId,status,deadline,claimedAt,updatedAt) VALUES (?,?,?,?,?,?,?)'),
   updateStartTime:    db.prepare('UPDATE giveaways SET startTime=? WHERE messageId=?'),
+  updateSeed:         db.prepare('UPDATE giveaways SET drawSeed=?, seedCommit=? WHERE messageId=?'),
   getGuildConfig:     db.prepare('SELECT * FROM guild_config WHERE guildId=?'),
   upsertGuildConfig:  db.prepare(`
     INSERT OR REPLACE INTO guild_config
-      (guildId,logChannelId,allowedChannels,allowedRoles,maxConcurrent,dmReminder,updatedAt)
-    VALUES (?,?,?,?,?,?,?)
+      (guildId,logChannelId,allowedChannels,allowedRoles,maxConcurrent,dmReminder,
+       bonusRoles,bonusMode,bonusCap,minDuration,maxDuration,timezone,claimDeadline,
+       activityMinLength,activityPerMinute,activityChannels,inviteMinStay,auditRetention,
+       fraudMode,fraudMinAge,fraudAvatar,fraudBurst,fraudDraw,updatedAt)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
   `),
   upsertStats: db.prepare(`
     INSERT INTO user_stats (userId,guildId,participations,wins,lastUpdated) VALUES (?,?,1,0,?)
@@ -282,10 +964,71 @@ const stmts = {
       wins        = wins + 1,
       lastUpdated = excluded.lastUpdated
   `),
+  addActivity:  db.prepare(`
+    INSERT INTO message_activity (guildId,userId,bucket,count) VALUES (?,?,?,1)
+    ON CONFLICT(guildId,userId,bucket) DO UPDATE SET count = count + 1
+  `),
+  sumActivity:   db.prepare('SELECT SUM(count) AS total FROM message_activity WHERE guildId=? AND userId=? AND bucket>=?'),
+  pruneActivity: db.prepare('DELETE FROM message_activity WHERE bucket < ?'),
+  // Un membre qui revient garde son parrain d'origine ; son séjour repart de zéro
+  upsertInvite: db.prepare(`
+    INSERT INTO invites (guildId,inviteeId,inviterId,code,joinedAt,leftAt) VALUES (?,?,?,?,?,NULL)
+    ON CONFLICT(guildId,inviteeId) DO UPDATE SET joinedAt = excluded.joinedAt, leftAt = NULL
+  `),
+  markInviteLeft: db.prepare('UPDATE invites SET leftAt=? WHERE guildId=? AND inviteeId=? AND leftAt IS NULL'),
+  inviteStats:  db.prepare(`
+    SELECT COUNT(*) AS total,
+      SUM(CASE WHEN COALESCE(leftAt, @now) - joinedAt >= @stay THEN 1 ELSE 0 END) AS valid,
+      SUM(CASE WHEN leftAt IS NULL AND @now - joinedAt < @stay THEN 1 ELSE 0 END) AS pending,
+      SUM(CASE WHEN leftAt IS NOT NULL AND leftAt - joinedAt < @stay THEN 1 ELSE 0 END) AS leftEarly
+    FROM invites WHERE guildId=@guildId AND inviterId=@userId
+  `),
+  removeWin:    db.prepare('UPDATE user_stats SET wins = MAX(0, wins - 1), lastUpdated = ? WHERE userId=? AND guildId=?'),
   getUserStats: db.prepare('SELECT * FROM user_stats WHERE userId=? AND guildId=?'),
   topWinners:   db.prepare('SELECT * FROM user_stats WHERE guildId=? ORDER BY wins DESC LIMIT 10'),
   countActive:  db.prepare('SELECT COUNT(*) as cnt FROM giveaways WHERE guildId=?'),
   getHistoryByHash: db.prepare('SELECT * FROM giveaway_history WHERE drawHash = ? AND guildId = ?'),
+
+  // Réclamations : indexées par la ligne d'historique d'origine (reroll compris)
+  insertClaim:  db.prepare(`
+    INSERT OR REPLACE INTO prize_claims (historyId,userId,guildId,status,deadline,claimedAt,updatedAt)
+    VALUES (?,?,?,'pending',?,NULL,?)
+  `),
+  getClaim:     db.prepare('SELECT * FROM prize_claims WHERE historyId=? AND userId=?'),
+  listClaims:   db.prepare('SELECT * FROM prize_claims WHERE historyId=? ORDER BY rowid'),
+  claimPrize:   db.prepare(`
+    UPDATE prize_claims SET status='claimed', claimedAt=?, updatedAt=?
+    WHERE historyId=? AND userId=? AND status='pending' AND (deadline IS NULL OR deadline > ?)
+  `),
+  closeClaim:   db.prepare("UPDATE prize_claims SET status=?, updatedAt=? WHERE historyId=? AND userId=? AND status IN ('pending','claimed')"),
+  dueClaims:    db.prepare("SELECT userId FROM prize_claims WHERE historyId=? AND status='pending' AND deadline <= ?"),
+  nextClaimDeadline: db.prepare("SELECT MIN(deadline) AS next FROM prize_claims WHERE historyId=? AND status='pending' AND deadline IS NOT NULL"),
+
+  upsertJob: db.prepare(`
+    INSERT INTO jobs (type,jobKey,ref,payload,runAt,maxAttempts,createdAt,updatedAt) VALUES (?,?,?,?,?,?,?,?)
+    ON CONFLICT(jobKey) DO UPDATE SET
+      type = excluded.type, ref = excluded.ref, payload = excluded.payload, runAt = excluded.runAt,
+      maxAttempts = excluded.maxAttempts, status = 'pending', attempts = 0, lastError = NULL,
+      updatedAt = excluded.updatedAt
+  `),
+  insertJobOnce: db.prepare(`
+    INSERT INTO jobs (type,jobKey,ref,payload,runAt,maxAttempts,createdAt,updatedAt) VALUES (?,?,?,?,?,?,?,?)
+    ON CONFLICT(jobKey) DO NOTHING
+  `),
+  claimJob:         db.prepare("UPDATE jobs SET status='running', attempts=attempts+1, updatedAt=? WHERE id=? AND status='pending'"),
+  // Le filtre status='running' préserve un job ré-armé par son propre handler
+  completeJob:      db.prepare("UPDATE jobs SET status='done', updatedAt=? WHERE id=? AND status='running'"),
+  failJob:          db.prepare("UPDATE jobs SET status=?, runAt=?, lastError=?, updatedAt=? WHERE id=? AND status='running'"),
+  dueJobs:          db.prepare("SELECT * FROM jobs WHERE status='pending' AND runAt<=? ORDER BY runAt LIMIT 50"),
+  nextJobRunAt:     db.prepare("SELECT MIN(runAt) AS runAt FROM jobs WHERE status='pending'"),
+  cancelJobsByRef:  db.prepare("DELETE FROM jobs WHERE ref=? AND status='pending'"),
+  cancelJob:        db.prepare("DELETE FROM jobs WHERE jobKey=? AND status='pending'"),
+  resetRunningJobs: db.prepare("UPDATE jobs SET status='pending', updatedAt=? WHERE status='running'"),
+  // Les jobs terminés d'un giveaway encore actif servent de garde d'idempotence : on les garde
+  pruneJobs:        db.prepare(`
+    DELETE FROM jobs WHERE status IN ('done','failed') AND updatedAt < ?
+      AND (ref IS NULL OR ref NOT IN (SELECT messageId FROM giveaways))
+  `),
 };
 
 // ==================== GUILD CONFIG ====================
@@ -299,10 +1042,33 @@ function getGuildConfig(guildId) {
     ...row,
     allowedChannels: JSON.parse(row.allowedChannels || '[]'),
     allowedRoles:    JSON.parse(row.allowedRoles    || '[]'),
+    bonusRoles:      JSON.parse(row.bonusRoles      || '{}'),
+    bonusMode:       row.bonusMode ?? 'max',
+    bonusCap:        row.bonusCap  ?? BONUS_TICKETS_CAP,
+    minDuration:     row.minDuration ?? MIN_DURATION,
+    maxDuration:     row.maxDuration ?? MAX_DURATION,
+    timezone:        row.timezone    ?? DEFAULT_TIMEZONE,
+    claimDeadline:   row.claimDeadline ?? null,
+    activityMinLength: row.activityMinLength ?? ACTIVITY_MIN_LENGTH,
+    activityPerMinute: row.activityPerMinute ?? ACTIVITY_PER_MINUTE,
+    activityChannels:  JSON.parse(row.activityChannels || '[]'),
+    inviteMinStay:     row.inviteMinStay ?? INVITE_MIN_STAY,
+    auditRetention:    row.auditRetention ?? 0,
+    fraudMode:         row.fraudMode   ?? 'off',
+    fraudMinAge:       row.fraudMinAge ?? FRAUD_MIN_AGE,
+    fraudAvatar:       row.fraudAvatar ?? 1,
+    fraudBurst:        row.fraudBurst  ?? FRAUD_BURST,
+    fraudDraw:         row.fraudDraw   ?? 'exclude',
   } : {
     guildId, logChannelId: null,
     allowedChannels: [], allowedRoles: [],
-    maxConcurrent: 5, dmReminder: 1
+    maxConcurrent: 5, dmReminder: 1,
+    bonusRoles: {}, bonusMode: 'max', bonusCap: BONUS_TICKETS_CAP,
+    minDuration: MIN_DURATION, maxDuration: MAX_DURATION,
+    timezone: DEFAULT_TIMEZONE, claimDeadline: null,
+    activityMinLength: ACTIVITY_MIN_LENGTH, activityPerMinute: ACTIVITY_PER_MINUTE, activityChannels: [],
+    inviteMinStay: INVITE_MIN_STAY, auditRetention: 0,
+    fraudMode: 'off', fraudMinAge: FRAUD_MIN_AGE, fraudAvatar: 1, fraudBurst: FRAUD_BURST, fraudDraw: 'exclude'
   };
 
   guildConfigCache.set(guildId, config);
@@ -317,11 +1083,35 @@ function saveGuildConfig(config) {
     JSON.stringify(config.allowedRoles    ?? []),
     config.maxConcurrent ?? 5,
     config.dmReminder    ?? 1,
+    JSON.stringify(config.bonusRoles ?? {}),
+    config.bonusMode     ?? 'max',
+    config.bonusCap      ?? BONUS_TICKETS_CAP,
+    config.minDuration   ?? MIN_DURATION,
+    config.maxDuration   ?? MAX_DURATION,
+    config.timezone      ?? null,
+    config.claimDeadline ?? null,
+    config.activityMinLength ?? ACTIVITY_MIN_LENGTH,
+    config.activityPerMinute ?? ACTIVITY_PER_MINUTE,
+    JSON.stringify(config.activityChannels ?? []),
+    config.inviteMinStay ?? INVITE_MIN_STAY,
+    config.auditRetention ?? 0,
+    config.fraudMode   ?? 'off',
+    config.fraudMinAge ?? FRAUD_MIN_AGE,
+    config.fraudAvatar ?? 1,
+    config.fraudBurst  ?? FRAUD_BURST,
+    config.fraudDraw   ?? 'exclude',
     Date.now()
   );
   guildConfigCache.set(config.guildId, config);
 }
 
+// Mode et plafond figés à la création, comme les rôles bonus ; les giveaways antérieurs suivent la config du serveur
+function getBonusOptions(giveaway) {
+  if (giveaway.bonusMode) return { mode: giveaway.bonusMode, cap: giveaway.bonusCap ?? BONUS_TICKETS_CAP };
+  const config = getGuildConfig(giveaway.guildId);
+  return { mode: config.bonusMode, cap: config.bonusCap };
+}
+
 async function postToLogChannel(guildId, container) {
   try {
     const config = getGuildConfig(guildId);
@@ -345,62 +1135,190 @@ function saveGiveaway(giveaway) {
     JSON.stringify(giveaway.bonusRoles ?? {}),
     giveaway.drawHash ?? null,
     giveaway.scheduledStart ?? null,
-    giveaway.roleMention ?? null
+    giveaway.roleMention ?? null,
+    giveaway.drawSeed ?? null,
+    giveaway.seedCommit ?? null,
+    JSON.stringify(giveaway.requirements ?? {}),
+    JSON.stringify(giveaway.ticketRules ?? {}),
+    giveaway.seriesId ?? null,
+    giveaway.pausedAt ?? null,
+    giveaway.mode ?? null,
+    JSON.stringify(giveaway.tiers ?? []),
+    giveaway.quiz ? JSON.stringify(giveaway.quiz) : null,
+    JSON.stringify(giveaway.review ?? {}),
+    giveaway.restoredFrom ?? null,
+    giveaway.bonusMode ?? null,
+    giveaway.bonusCap ?? null
   );
   giveawaysCache.set(giveaway.messageId, giveaway);
 }
 
+/**
+ * Drop : attribue un lot au clic. La base fait foi (transaction IMMEDIATE) :
+ * deux clics simultanés, même depuis deux processus, ne peuvent pas prendre la même place.
+ */
+const claimDropSlot = db.transaction((messageId, userId) => {
+  const row = stmts.getDropState.get(messageId);
+  if (!row || row.pausedAt || row.endTime <= Date.now()) return { status: 'closed' };
+  const winners = JSON.parse(row.participants || '[]');
+  if (winners.includes(userId)) return { status: 'already', winners };
+  if (winners.length >= row.gagnants) return { status: 'closed' };
+  winners.push(userId);
+  stmts.setParticipants.run(JSON.stringify(winners), messageId);
+  return { status: 'won', winners, full: winners.length >= row.gagnants };
+});
+
 function deleteGiveaway(messageId) {
   stmts.deleteGiveaway.run(messageId);
   giveawaysCache.del(messageId);
-  dmReminderSent.delete(messageId);
-  if (activeTimers.has(messageId)) {
-    clearTimeout(activeTimers.get(messageId));
-    activeTimers.delete(messageId);
-  }
+  cancelGiveawayJobs(messageId);
 }
 
-function archiveGiveaway(giveaway, winners, drawHash) {
+// Retourne l'id de la ligne d'historique (null en cas d'échec)
+function archiveGiveaway(giveaway, winners, drawHash, pool, endedAt = Date.now(), { threadId = null, parentId = null, drawSalt = null } = {}) {
+  // Un reroll reprend l'instantané de la ligne d'origine (absent des archives anciennes)
+  const settings = 'settings' in giveaway ? giveaway.settings : giveawaySettings(giveaway);
   try {
-    stmts.insertHistory.run(
+    return stmts.insertHistory.run(
       giveaway.guildId, giveaway.channelId,
       giveaway.prix, giveaway.organizer,
       giveaway.participants.length,
       JSON.stringify(giveaway.participants),
       JSON.stringify(winners),
-      drawHash ?? null, Date.now()
-    );
-  } catch (e) { console.error('archiveGiveaway:', e); }
+      drawHash ?? null, endedAt,
+      giveaway.drawSeed ?? null, giveaway.seedCommit ?? null,
+      JSON.stringify(pool ?? []),
+      giveaway.messageId ?? null, threadId, parentId, drawSalt,
+      giveaway.commentaire ?? null, giveaway.image ?? null,
+      settings ? JSON.stringify(settings) : null,
+      giveaway.seriesId ?? null
+    ).lastInsertRowid;
+  } catch (e) { console.error('archiveGiveaway:', e); return null; }
+}
+
+// Réglages réutilisables d'un giveaway (modèles, historique) — sans état de tirage ni participants
+function giveawaySettings(giveaway) {
+  return {
+    prix:         giveaway.prix,
+    gagnants:     giveaway.gagnants,
+    durée:        formatDuration(giveaway.duration),
+    roleRequired: giveaway.roleRequired ?? null,
+    roleMention:  giveaway.roleMention ?? null,
+    commentaire:  giveaway.commentaire ?? null,
+    image:        giveaway.image ?? null,
+    requirements: giveaway.requirements ?? {},
+    ticketRules:  giveaway.ticketRules ?? {},
+    bonusRoles:   giveaway.bonusRoles ?? {},
+    bonusMode:    giveaway.bonusMode ?? null,
+    bonusCap:     giveaway.bonusCap ?? null,
+    tiers:        giveaway.tiers ?? [],
+    quiz:         giveaway.quiz ?? null,
+  };
+}
+
+// Reconstitue un giveaway terminé à partir de sa ligne d'historique (conteneurs, reroll)
+function historyToGiveaway(hist) {
+  const settings = hist.settings ? JSON.parse(hist.settings) : null;
+  return {
+    messageId:    hist.messageId,
+    channelId:    hist.channelId,
+    guildId:      hist.guildId,
+    prix:         hist.prix,
+    organizer:    hist.organizer,
+    participants: JSON.parse(hist.participantsList || '[]'),
+    commentaire:  hist.commentaire,
+    image:        hist.image,
+    drawSeed:     hist.seed,
+    seedCommit:   hist.seedCommit,
+    settings,
+    tiers:        settings?.tiers ?? [],
+    seriesId:     hist.seriesId
+  };
+}
+
+// Ouvre une réclamation par gagnant ; sans délai configuré, aucun reroll automatique
+function openClaims(guildId, historyId, winners) {
+  const { claimDeadline } = getGuildConfig(guildId);
+  const deadline = claimDeadline ? Date.now() + claimDeadline : null;
+  for (const uid of winners) stmts.insertClaim.run(historyId, uid, guildId, deadline, Date.now());
+  armClaimJob(historyId);
+  return deadline;
+}
+
+function armClaimJob(historyId) {
+  const next = stmts.nextClaimDeadline.get(historyId)?.next;
+  if (next) enqueueJob('claim_deadline', String(historyId), next);
+}
+
+function formatClaimStatus(claim) {
+  switch (claim.status) {
+    case 'claimed':  return `✅ Réclamé <t:${toUnix(claim.claimedAt)}:R>`;
+    case 'expired':  return '⌛ Non réclamé à temps';
+    case 'replaced': return '🔄 Remplacé';
+    default:         return `⏳ En attente${claim.deadline ? ` (limite <t:${toUnix(claim.deadline)}:R>)` : ''}`;
+  }
+}
+
+function createClaimRow(historyId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`claim:${historyId}`).setLabel('Réclamer mon prix').setStyle(ButtonStyle.Success).setEmoji('🎁')
+  );
 }
 
 function auditLog(guildId, action, actorId, targetId = null, detail = null) {
   try { stmts.insertAudit.run(guildId, action, actorId, targetId, detail ? JSON.stringify(detail) : null, Date.now()); } catch {}
 }
 
+function parseGiveawayRow(row) {
+  row.participants = JSON.parse(row.participants || '[]');
+  row.bonusRoles   = JSON.parse(row.bonusRoles   || '{}');
+  row.requirements = JSON.parse(row.requirements || '{}');
+  row.ticketRules  = JSON.parse(row.ticketRules  || '{}');
+  row.tiers        = JSON.parse(row.tiers        || '[]');
+  row.quiz         = row.quiz ? JSON.parse(row.quiz) : null;
+  row.review       = JSON.parse(row.review       || '{}');
+  row.roleMention  = row.roleMention ?? null;
+  if (!row.startTime && row.duration) {
+    row.startTime = row.endTime - row.duration;
+    stmts.updateStartTime.run(row.startTime, row.messageId);
+  }
+  // Giveaways créés avant le commit–reveal : l'engagement sera affiché à la prochaine mise à jour
+  if (!row.drawSeed) {
+    Object.assign(row, createSeedCommitment());
+    stmts.updateSeed.run(row.drawSeed, row.seedCommit, row.messageId);
+  }
+  return row;
+}
+
 function loadGiveaways() {
   const rows = stmts.selectAll.all();
-  for (const row of rows) {
-    row.participants = JSON.parse(row.participants || '[]');
-    row.bonusRoles   = JSON.parse(row.bonusRoles   || '{}');
-    row.roleMention  = row.roleMention ?? null;
-    if (!row.startTime && row.duration) {
-      row.startTime = row.endTime - row.duration;
-      stmts.updateStartTime.run(row.startTime, row.messageId);
-    }
-    giveawaysCache.set(row.messageId, row);
-  }
+  for (const row of rows) giveawaysCache.set(row.messageId, parseGiveawayRow(row));
   return rows;
 }
 
+async function fetchGiveawayMessage(giveaway) {
+  const channel = await clientInstance.channels.fetch(giveaway.channelId).catch(() => null);
+  return channel ? await channel.messages.fetch(giveaway.messageId).catch(() => null) : null;
+}
+
+function findActiveGiveaway(guildId, messageId) {
+  for (const key of giveawaysCache.keys()) {
+    const g = giveawaysCache.get(key);
+    if (g?.messageId === messageId && g?.guildId === guildId) return g;
+  }
+  return null;
+}
+
 // ==================== COMPONENTS V2 BUILDERS ====================
 
 function generateProgressBar(giveaway) {
   const { startTime, endTime } = giveaway;
   if (!startTime || !endTime) return { progressBar: '░'.repeat(20), color: COLORS.red, percentage: 0 };
-  const total = endTime - startTime;
+  // duration exclut le temps passé en pause ; figée à l'instant de la pause
+  const total = giveaway.duration || endTime - startTime;
   if (total <= 0) return { progressBar: '█'.repeat(20), color: COLORS.red, percentage: 100 };
-  const elapsed    = Math.max(0, Date.now() - startTime);
-  const remaining  = Math.max(0, endTime - Date.now());
+  const remaining  = Math.max(0, endTime - (giveaway.pausedAt ?? Date.now()));
+  const elapsed    = Math.max(0, total - remaining);
   const percentage = Math.round(Math.min(100, (elapsed / total) * 100));
   const remainPct  = (remaining / total) * 100;
   const color = remainPct > 66 ? COLORS.green : remainPct > 33 ? COLORS.yellow : remainPct > 10 ? COLORS.orange : COLORS.red;
@@ -411,39 +1329,51 @@ function generateProgressBar(giveaway) {
 /**
  * Giveaway actif — Container v2
  */
-function createGiveawayContainer(giveaway, guild) {
+function createGiveawayContainer(giveaway, guild, { preview = false } = {}) {
+  if (giveaway.mode === 'drop') return createDropContainer(giveaway, guild);
   const progress   = generateProgressBar(giveaway);
   const hasBonuses = Object.keys(giveaway.bonusRoles ?? {}).length > 0;
 
   // --- Ligne de bonus roles si besoin ---
   let bonusText = '';
   if (hasBonuses) {
+    const { mode, cap } = getBonusOptions(giveaway);
     const lines = Object.entries(giveaway.bonusRoles)
       .map(([r, t]) => `<@&${r}> → ${t} ticket${t > 1 ? 's' : ''}`)
       .join('\n');
-    bonusText = `\n\n**🎟️ Tickets bonus :**\n${lines}`;
+    const modeText = mode === 'stack' ? `cumulables, max ${cap}` : `le meilleur rôle compte, max ${cap}`;
+    bonusText = `\n\n**🎟️ Tickets bonus** *(${modeText})* **:**\n${lines}`;
   }
+  if (giveaway.ticketRules?.perMessages)
+    bonusText += `\n\n**💬 Bonus activité :** +1 ticket tous les ${giveaway.ticketRules.perMessages} messages envoyés pendant le giveaway`;
+  if (giveaway.ticketRules?.perInvites)
+    bonusText += `\n\n**📨 Bonus invitations :** +1 ticket ${giveaway.ticketRules.perInvites > 1 ? `toutes les ${giveaway.ticketRules.perInvites} invitations valides` : 'par invitation valide'}`;
 
-  const roleText = giveaway.roleRequired ? `\n\n**🔒 Rôle requis :**<@&${giveaway.roleRequired}>` : '';
   const mentionText = giveaway.roleMention ? `\n\n**📣 Rôle mentionné :**<@&${giveaway.roleMention}>` : '';
   const commentText = giveaway.commentaire
     ? `\n\n**📝 Informations supplémentaires :**\n${sanitize(giveaway.commentaire, MAX_COMMENT_LENGTH)}`
     : '';
 
+  const paused  = Boolean(giveaway.pausedAt);
+  const endText = paused
+    ? `**⏸️ En pause** depuis <t:${toUnix(giveaway.pausedAt)}:R> — la fin sera repoussée d'autant à la reprise`
+    : `**⏳ Fin :** <t:${toUnix(giveaway.endTime)}:R> • <t:${toUnix(giveaway.endTime)}:d>`;
+
   const mainText =
-    `**🎁 Prix :** ${sanitize(giveaway.prix, MAX_PRIX_LENGTH)}\n\n` +
+    `**🎁 Prix :** ${sanitize(giveaway.prix, MAX_PRIX_LENGTH)}` + formatTiers(giveaway) + '\n\n' +
     `**👥 Participants :** ${giveaway.participants.length}\n\n` +
     `**🏆 Gagnants :** ${giveaway.gagnants}\n\n` +
-    `**⏳ Fin :** <t:${toUnix(giveaway.endTime)}:R> • <t:${toUnix(giveaway.endTime)}:d>` +
-    roleText + mentionText + bonusText +
+    endText +
+    formatRequirements(giveaway) + formatQuestion(giveaway) + mentionText + bonusText +
     `\n\n**⏱️ Progression :** ${progress.percentage}%\n\`${progress.progressBar}\`` +
+    (giveaway.seedCommit ? `\n\n**🔏 Engagement du tirage :**\n\`${giveaway.seedCommit}\`` : '') +
     commentText;
 
   const container = new ContainerBuilder()
-    .setAccentColor(progress.color);
+    .setAccentColor(paused ? COLORS.grey : progress.color);
 
   container.addTextDisplayComponents(
-    new TextDisplayBuilder().setContent('# 🎉 Giveaway en Cours 🎉')
+    new TextDisplayBuilder().setContent(paused ? '# ⏸️ Giveaway en Pause' : '# 🎉 Giveaway en Cours 🎉')
   );
 
   container.addSeparatorComponents(
@@ -470,10 +1400,10 @@ function createGiveawayContainer(giveaway, guild) {
 
   container.addActionRowComponents(
     new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId('enter').setLabel('Participer').setStyle(ButtonStyle.Secondary).setEmoji('🎉'),
-      new ButtonBuilder().setCustomId('leave').setLabel('Se retirer').setStyle(ButtonStyle.Secondary).setEmoji('🚪'),
-      new ButtonBuilder().setCustomId('cancel').setLabel('Annuler').setStyle(ButtonStyle.Secondary).setEmoji('❌'),
-      new ButtonBuilder().setCustomId('show_participants').setLabel('Participants').setStyle(ButtonStyle.Secondary).setEmoji('👥')
+      new ButtonBuilder().setCustomId('enter').setLabel(giveaway.quiz ? 'Répondre' : 'Participer').setStyle(ButtonStyle.Secondary).setEmoji(giveaway.quiz ? '❓' : '🎉').setDisabled(paused || preview),
+      new ButtonBuilder().setCustomId('leave').setLabel('Se retirer').setStyle(ButtonStyle.Secondary).setEmoji('🚪').setDisabled(paused || preview),
+      new ButtonBuilder().setCustomId('cancel').setLabel('Annuler').setStyle(ButtonStyle.Secondary).setEmoji('❌').setDisabled(preview),
+      new ButtonBuilder().setCustomId('show_participants').setLabel('Participants').setStyle(ButtonStyle.Secondary).setEmoji('👥').setDisabled(preview)
     )
   );
 
@@ -483,9 +1413,9 @@ function createGiveawayContainer(giveaway, guild) {
 /**
  * Giveaway terminé — Container v2
  */
-function createEndedGiveawayContainer(giveaway, winnerMembers, organizer, drawHash, guild) {
-  const winnersText = winnerMembers.length
-    ? winnerMembers.map(w => `<@${w.id}>`).join(', ')
+function createEndedGiveawayContainer(giveaway, winners, organizer, drawHash, guild) {
+  const winnersText = winners.length
+    ? formatWinners(giveaway, winners)
     : '🥺 Aucun participant.';
 
   const organizerText = organizer ? `<@${organizer.id}>` : 'Inconnu';
@@ -499,6 +1429,8 @@ function createEndedGiveawayContainer(giveaway, winnerMembers, organizer, drawHa
     `**👥 Participants :** ${giveaway.participants.length}\n\n` +
     `**🏆 Gagnant(s) :** ${winnersText}\n\n` +
     `**👤 Organisateur :** ${organizerText}` +
+    (drawHash ? `\n\n**🔐 Hash :** \`${drawHash}\`` : '') +
+    (giveaway.drawSeed && giveaway.mode !== 'drop' ? `\n**🔓 Graine révélée :** \`${giveaway.drawSeed}\`` : '') +
     commentText;
 
   const container = new ContainerBuilder()
@@ -580,13 +1512,13 @@ function createCancelledContainer(giveaway, organizer, guild) {
 /**
  * Fil privé gagnants — Container v2
  */
-function createWinnersThreadContainer(giveaway, guild, drawHash, winnerMembers) {
+function createWinnersThreadContainer(giveaway, guild, drawHash, winners, claim = null) {
   const hashText = drawHash
     ? `\n\n**🔐 Hash de vérification :** \`${drawHash}\`\n*Utilisez \`/giveaway verify ${drawHash}\` pour vérifier ce tirage*`
     : '';
 
-  const winnersLine = winnerMembers?.length
-    ? `\n\n**🏆 Gagnant(s) :** ${winnerMembers.map(m => `<@${m.id}>`).join(' ')}`
+  const winnersLine = winners?.some(Boolean)
+    ? `\n\n**🏆 Gagnant(s) :** ${formatWinners(giveaway, winners)}`
     : '';
 
   const mainText =
@@ -594,6 +1526,7 @@ function createWinnersThreadContainer(giveaway, guild, drawHash, winnerMembers)
     winnersLine +
     hashText +
     `\n\nUtilisez ce fil pour coordonner la remise de votre prix.` +
+    (claim ? `\n\n**🎁 Cliquez sur « Réclamer mon prix »**${claim.deadline ? ` avant <t:${toUnix(claim.deadline)}:f> (<t:${toUnix(claim.deadline)}:R>), sinon le prix sera remis en jeu` : ''}.` : '') +
     (giveaway.commentaire ? `\n\n**📝 Informations supplémentaires :**\n${sanitize(giveaway.commentaire)}` : '');
 
   const container = new ContainerBuilder()
@@ -623,6 +1556,8 @@ function createWinnersThreadContainer(giveaway, guild, drawHash, winnerMembers)
     new SeparatorBuilder().setSpacing(SeparatorSpacingSize.Small).setDivider(true)
   );
 
+  if (claim) container.addActionRowComponents(createClaimRow(claim.id));
+
   return container;
 }
 
@@ -630,16 +1565,17 @@ function createWinnersThreadContainer(giveaway, guild, drawHash, winnerMembers)
  * Giveaway planifié — Container v2
  */
 function createScheduledContainer(giveaway, duréeInput, guild) {
-  const { scheduledStart, endTime, gagnants, prix, roleRequired, commentaire, roleMention } = giveaway;
+  const { scheduledStart, endTime, gagnants, prix, commentaire, roleMention } = giveaway;
 
   const mainText =
-    `**🎁 Prix :** ${sanitize(prix)}\n\n` +
+    `**🎁 Prix :** ${sanitize(prix)}` + formatTiers(giveaway) + '\n\n' +
     `**🏆 Gagnants :** ${gagnants}\n\n` +
     `**🕐 Début :** <t:${toUnix(scheduledStart)}:F> (<t:${toUnix(scheduledStart)}:R>)\n\n` +
     `**⏱️ Durée :** ${duréeInput}\n\n` +
     `**⏳ Fin prévue :** <t:${toUnix(endTime)}:F>` +
-    (roleRequired ? `\n\n**🔒 Rôle requis :** <@&${roleRequired}>` : '') +
+    formatRequirements(giveaway) +
     (roleMention ? `\n\n**📣 Rôle mentionné :** <@&${roleMention}>` : '') +
+    (giveaway.seedCommit ? `\n\n**🔏 Engagement du tirage :**\n\`${giveaway.seedCommit}\`` : '') +
     (commentaire ? `\n\n**📝 Informations supplémentaires :**\n${commentaire}` : '');
 
   const container = new ContainerBuilder()
@@ -672,6 +1608,63 @@ function createScheduledContainer(giveaway, duréeInput, guild) {
   return container;
 }
 
+/**
+ * Drop en cours — Container v2 : les gagnants s'affichent au fil des clics
+ */
+function createDropContainer(giveaway, guild) {
+  const paused    = Boolean(giveaway.pausedAt);
+  const remaining = giveaway.gagnants - giveaway.participants.length;
+  const winners   = giveaway.participants.map((id, i) => `${i + 1}. <@${id}>`).join('\n');
+
+  const mainText =
+    `**🎁 Prix :** ${sanitize(giveaway.prix, MAX_PRIX_LENGTH)}\n\n` +
+    `**⚡ Les ${giveaway.gagnants} premiers à ${giveaway.quiz ? 'trouver la bonne réponse' : 'cliquer'} gagnent !**\n\n` +
+    `**🏆 Lots restants :** ${remaining} / ${giveaway.gagnants}\n\n` +
+    (paused
+      ? `**⏸️ En pause** depuis <t:${toUnix(giveaway.pausedAt)}:R>`
+      : `**⏳ Expire :** <t:${toUnix(giveaway.endTime)}:R>`) +
+    formatRequirements(giveaway) + formatQuestion(giveaway) +
+    (giveaway.roleMention ? `\n\n**📣 Rôle mentionné :**<@&${giveaway.roleMention}>` : '') +
+    (winners ? `\n\n**🥇 Gagnants :**\n${winners}` : '') +
+    (giveaway.commentaire ? `\n\n**📝 Informations supplémentaires :**\n${sanitize(giveaway.commentaire, MAX_COMMENT_LENGTH)}` : '');
+
+  const container = new ContainerBuilder()
+    .setAccentColor(paused ? COLORS.grey : COLORS.gold);
+
+  container.addTextDisplayComponents(
+    new TextDisplayBuilder().setContent(paused ? '# ⏸️ Drop en Pause' : '# ⚡ Drop en Cours ⚡')
+  );
+
+  container.addSeparatorComponents(
+    new SeparatorBuilder().setSpacing(SeparatorSpacingSize.Small).setDivider(true)
+  );
+
+  container.addTextDisplayComponents(
+    new TextDisplayBuilder().setContent(mainText)
+  );
+
+  container.addSeparatorComponents(
+    new SeparatorBuilder().setSpacing(SeparatorSpacingSize.Small).setDivider(true)
+  );
+  container.addMediaGalleryComponents(
+    new MediaGalleryBuilder().addItems(
+      new MediaGalleryItemBuilder().setURL(giveaway.image || GIVEAWAY_IMAGES.active)
+    )
+  );
+  container.addSeparatorComponents(
+    new SeparatorBuilder().setSpacing(SeparatorSpacingSize.Small).setDivider(true)
+  );
+
+  container.addActionRowComponents(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId('enter').setLabel(giveaway.quiz ? 'Répondre' : 'Récupérer').setStyle(ButtonStyle.Success).setEmoji(giveaway.quiz ? '❓' : '⚡').setDisabled(paused),
+      new ButtonBuilder().setCustomId('cancel').setLabel('Annuler').setStyle(ButtonStyle.Secondary).setEmoji('❌')
+    )
+  );
+
+  return container;
+}
+
 /**
  * Reminder DM — Container v2
  */
@@ -745,17 +1738,33 @@ function createInfoContainer(title, content, color = COLORS.blue) {
 
 // ==================== FIN DE GIVEAWAY ====================
 
-async function createPrivateThreadForWinners(channel, winners, giveaway, drawHash) {
+async function createPrivateThreadForWinners(channel, winners, giveaway, drawHash, claim = null) {
   if (!winners.length) return null;
   const winnerMembers = winners.map(id => channel.guild.members.cache.get(id)).filter(Boolean);
   if (!winnerMembers.length) return null;
 
+  // Post de forum : pas de fil dans un fil, les gagnants sont ajoutés au post lui-même
+  if (channel.isThread()) {
+    try {
+      for (const m of winnerMembers) await channel.members.add(m.id).catch(() => {});
+      await channel.send({
+        components: [createWinnersThreadContainer(giveaway, channel.guild, drawHash, winners, claim)],
+        flags: [MessageFlags.IsComponentsV2]
+      });
+      return channel;
+    } catch (e) { console.error('createPrivateThread:', e); return null; }
+  }
+
+  // Les salons d'annonces n'acceptent que des fils publics
+  const isAnnouncement = channel.type === ChannelType.GuildAnnouncement;
   const hasPerm = channel.permissionsFor(channel.guild.members.me)
-    .has(PermissionsBitField.Flags.CreatePrivateThreads);
+    .has(isAnnouncement ? PermissionsBitField.Flags.CreatePublicThreads : PermissionsBitField.Flags.CreatePrivateThreads);
 
   if (!hasPerm) {
     await channel.send({
-      content: `🎉 ${winnerMembers.map(m => `<@${m.id}>`).join(' ')} — Contactez <@${giveaway.organizer}> pour votre prix !`
+      content: `🎉 ${winnerMembers.map(m => `<@${m.id}>`).join(' ')} — Contactez <@${giveaway.organizer}> pour votre prix !` +
+        (claim?.deadline ? `\n⏳ Réclamez-le avant <t:${toUnix(claim.deadline)}:f>.` : ''),
+      components: claim ? [createClaimRow(claim.id)] : []
     });
     return null;
   }
@@ -764,13 +1773,13 @@ async function createPrivateThreadForWinners(channel, winners, giveaway, drawHas
     const thread = await channel.threads.create({
       name: `🎉 Gagnants - ${giveaway.prix.substring(0, 50)}`,
       autoArchiveDuration: 10080,
-      type: ChannelType.PrivateThread,
+      type: isAnnouncement ? ChannelType.AnnouncementThread : ChannelType.PrivateThread,
       reason: 'Fil privé gagnants giveaway'
     });
     for (const m of winnerMembers) await thread.members.add(m.id).catch(() => {});
     try { const org = await channel.guild.members.fetch(giveaway.organizer); await thread.members.add(org).catch(() => {}); } catch {}
 
-    const container = createWinnersThreadContainer(giveaway, channel.guild, drawHash, winnerMembers);
+    const container = createWinnersThreadContainer(giveaway, channel.guild, drawHash, winners, claim);
 
     await thread.send({
       components: [container],
@@ -780,64 +1789,30 @@ async function createPrivateThreadForWinners(channel, winners, giveaway, drawHas
   } catch (e) { console.error('createPrivateThread:', e); return null; }
 }
 
-async function sendDMReminders(giveaway) {
-  const config = getGuildConfig(giveaway.guildId);
-  if (!config.dmReminder) return;
-
-  for (const userId of giveaway.participants) {
-    try {
-      const user = await clientInstance.users.fetch(userId).catch(() => null);
-      if (!user) continue;
-      const container = createDMReminderContainer(giveaway);
-      await user.send({
-        components: [container],
-        flags: [MessageFlags.IsComponentsV2]
-      }).catch(() => {});
-    } catch {}
-  }
+async function sendDMReminder(giveaway, userId) {
+  const user = await clientInstance.users.fetch(userId).catch(() => null);
+  if (!user) return;
+  const container = createDMReminderContainer(giveaway);
+  await user.send({
+    components: [container],
+    flags: [MessageFlags.IsComponentsV2]
+  }).catch(() => {});
 }
 
-function scheduleNextUpdate(message, giveaway) {
-  if (activeTimers.has(giveaway.messageId)) {
-    clearTimeout(activeTimers.get(giveaway.messageId));
-  }
-
+function scheduleNextUpdate(giveaway) {
   const remaining = giveaway.endTime - Date.now();
-  if (remaining <= 0) { endClassicGiveaway(message, giveaway).catch(console.error); return; }
-
-  const DM_THRESHOLD = 15 * 60 * 1000;
-  if (remaining > DM_THRESHOLD && !dmReminderSent.has(giveaway.messageId)) {
-    const msUntilReminder = remaining - DM_THRESHOLD;
-    setTimeout(() => {
-      if (!dmReminderSent.has(giveaway.messageId)) {
-        dmReminderSent.add(giveaway.messageId);
-        const fresh = giveawaysCache.get(giveaway.messageId);
-        if (fresh) sendDMReminders(fresh).catch(() => {});
-      }
-    }, msUntilReminder);
-  }
-
-  const delay = Math.min(getUpdateInterval(remaining), remaining);
+  const delay     = getUpdateInterval(remaining);
+  // La dernière mise à jour est celle de fin (job giveaway_end)
+  if (delay >= remaining) return;
+  enqueueJob('giveaway_update', giveaway.messageId, Date.now() + delay);
+}
 
-  const timer = setTimeout(async () => {
-    const current = giveawaysCache.get(giveaway.messageId);
-    if (!current) return;
-
-    if (current.endTime <= Date.now()) {
-      await endClassicGiveaway(message, current);
-      return;
-    }
-    try {
-      await message.edit({
-        components: [createGiveawayContainer(current, message.guild)],
-        flags: [MessageFlags.IsComponentsV2]
-      });
-    } catch { activeTimers.delete(giveaway.messageId); return; }
-    scheduleNextUpdate(message, current);
-  }, delay);
-
-  activeTimers.set(giveaway.messageId, timer);
-}
+function armGiveawayJobs(giveaway) {
+  enqueueJob('giveaway_end', giveaway.messageId, giveaway.endTime);
+  if (giveaway.mode !== 'drop' && giveaway.endTime - Date.now() > DM_REMINDER_BEFORE)
+    enqueueJob('dm_reminder', giveaway.messageId, giveaway.endTime - DM_REMINDER_BEFORE, {}, { once: true });
+  scheduleNextUpdate(giveaway);
+}
 
 async function startClassicCountdown(message, giveaway) {
   giveawaysCache.set(giveaway.messageId, giveaway);
@@ -847,21 +1822,48 @@ async function startClassicCountdown(message, giveaway) {
       flags: [MessageFlags.IsComponentsV2]
     });
   } catch {}
-  scheduleNextUpdate(message, giveaway);
+  if (!giveaway.pausedAt) armGiveawayJobs(giveaway);
+}
+
+function scheduleGiveawayStart(giveaway) {
+  enqueueJob('giveaway_start', giveaway.messageId, giveaway.scheduledStart);
+}
+
+async function launchScheduledGiveaway(message, giveaway) {
+  const g = giveawaysCache.get(giveaway.messageId);
+  if (!g?.scheduledStart) return;
+
+  const now        = Date.now();
+  g.startTime      = now;
+  g.endTime        = now + g.duration;
+  g.scheduledStart = null;
+  saveGiveaway(g);
+
+  await startClassicCountdown(message, g);
 }
 
 async function endClassicGiveaway(message, giveaway) {
-  if (activeTimers.has(giveaway.messageId)) {
-    clearTimeout(activeTimers.get(giveaway.messageId));
-    activeTimers.delete(giveaway.messageId);
-  }
+  // Fin forcée et job de fin peuvent se croiser : un seul tirage
+  const current = giveawaysCache.get(giveaway.messageId);
+  if (!current || endingGiveaways.has(current.messageId)) return;
+  endingGiveaways.add(current.messageId);
+  cancelGiveawayJobs(current.messageId);
+  try { await drawAndCloseGiveaway(message, current); }
+  finally { endingGiveaways.delete(current.messageId); }
+}
 
-  const current = giveawaysCache.get(giveaway.messageId) ?? giveaway;
-  const pool    = buildDrawPool(current.participants, message.guild.members.cache, current.bonusRoles ?? {});
-  const winners = [...new Set(selectWinners(pool, current.gagnants))];
+async function drawAndCloseGiveaway(message, current) {
+  // Drop : pas de tirage, les gagnants sont les premiers arrivés, dans l'ordre des clics
+  const isDrop  = current.mode === 'drop';
+  const pool    = isDrop
+    ? current.participants.map(uid => [uid, 1])
+    : buildDrawPool(current.participants, message.guild.members.cache, current.bonusRoles ?? {}, getBonusOptions(current),
+      uid => getActivityTickets(current, uid), getFraudSuspects(current));
+  const winners = isDrop ? current.participants.slice(0, current.gagnants) : drawWinners(current.drawSeed, pool, current.gagnants);
   const winnerMembers = winners.map(id => message.guild.members.cache.get(id)).filter(Boolean);
   const organizer     = await message.guild.members.fetch(current.organizer).catch(() => null);
-  const drawHash      = hashDraw(current.participants, winners, current.endTime);
+  const endedAt       = Date.now();
+  const drawHash      = hashDraw(current.participants, winners, endedAt);
 
   for (const uid of current.participants) {
     stmts.upsertStats.run(uid, current.guildId, Date.now());
@@ -870,20 +1872,23 @@ async function endClassicGiveaway(message, giveaway) {
     stmts.addWin.run(uid, current.guildId, Date.now());
   }
 
-  archiveGiveaway(current, winners, drawHash);
+  const historyId = archiveGiveaway(current, winners, drawHash, pool, endedAt, isDrop ? { drawSalt: 'drop' } : {});
   auditLog(current.guildId, 'GIVEAWAY_END', clientInstance.user.id, null, { winners, participants: current.participants.length, drawHash });
 
-  const resultContainer = createEndedGiveawayContainer(current, winnerMembers, organizer, drawHash, message.guild);
+  const resultContainer = createEndedGiveawayContainer(current, winners, organizer, drawHash, message.guild);
   await message.edit({
     components: [resultContainer],
     flags: [MessageFlags.IsComponentsV2]
   }).catch(() => {});
 
+  const claim = historyId && winners.length ? { id: historyId, deadline: openClaims(current.guildId, historyId, winners) } : null;
+
   if (winnerMembers.length > 0) {
-    const thread = await createPrivateThreadForWinners(message.channel, winners, current, drawHash);
+    const thread = await createPrivateThreadForWinners(message.channel, winners, current, drawHash, claim);
+    if (thread && historyId) stmts.setHistoryThread.run(thread.id, historyId);
     await message.channel.send({
       content: thread
-        ? `🎉 **GIVEAWAY TERMINÉ !** Les gagnants ont gagné **${sanitize(current.prix)}** ! 🎁 ${thread}`
+        ? `🎉 **GIVEAWAY TERMINÉ !** Les gagnants ont gagné **${sanitize(current.prix)}** ! 🎁` + (thread.id !== message.channelId ? ` ${thread}` : '')
         : `🎉 **GIVEAWAY TERMINÉ !** Contactez <@${current.organizer}> pour réclamer **${sanitize(current.prix)}** !`
     });
   } else {
@@ -895,55 +1900,545 @@ async function endClassicGiveaway(message, giveaway) {
     `**Prix :** ${sanitize(current.prix)}\n` +
     `**Gagnants :** ${winners.map(id => `<@${id}>`).join(', ') || 'Aucun'}\n` +
     `**Participants :** ${current.participants.length}\n` +
-    `**Hash :** \`${drawHash}\``,
+    `**Hash :** \`${drawHash}\`\n` +
+    `**Graine :** \`${current.drawSeed}\``,
     COLORS.green
   ));
 
   deleteGiveaway(current.messageId);
+  onSeriesInstanceEnded(current);
 }
 
-async function processExpiredGiveaway(giveaway) {
+/**
+ * Remplace des gagnants d'un giveaway terminé. La ligne d'historique d'origine reste intacte :
+ * chaque reroll ajoute une ligne liée (parentId = tirage d'origine) avec son propre hash.
+ * Les nouveaux gagnants sont tirés avec la graine d'origine et un sel propre au reroll,
+ * parmi les participants jamais gagnants de ce giveaway et non blacklistés.
+ */
+async function rerollGiveaway(guild, hist, replaceIds, actorId, replacedStatus = 'replaced') {
+  const rootId = hist.parentId ?? hist.id;
+  if (rerollingGiveaways.has(rootId)) throw new Error('Un reroll est déjà en cours pour ce giveaway.');
+  rerollingGiveaways.add(rootId);
   try {
+    const chain   = stmts.historyChain.all(rootId, rootId);
+    const root    = chain[0];
+    const latest  = chain[chain.length - 1];
+    const current = JSON.parse(latest.winners || '[]');
+    const everWon = new Set(chain.flatMap(r => JSON.parse(r.winners || '[]')));
+
+    const giveaway = historyToGiveaway(latest);
+    // Nouvelle graine à chaque reroll, révélée avec lui : celle d'origine est publique depuis la fin
+    // du giveaway, elle permettrait de calculer le remplaçant avant de choisir qui remplacer
+    Object.assign(giveaway, createSeedCommitment());
+
+    const basePool = root.pool ? JSON.parse(root.pool) : giveaway.participants.map(uid => [uid, 1]);
+    const pool     = basePool.filter(([uid]) => !everWon.has(uid) && !stmts.getBlacklistEntry.get(uid, guild.id, Date.now()));
+
+    const positions = replaceIds.map(id => current.indexOf(id)).filter(i => i >= 0).sort((a, b) => a - b);
+    const drawSalt  = `reroll:${chain.length}`;
+    const picks     = drawWinners(giveaway.drawSeed, pool, positions.length, drawSalt);
+    const replaced  = positions.map(p => current[p]);
+
+    // Sans remplaçant éligible, le gagnant garde sa place
+    const next = [...current];
+    positions.forEach((p, i) => { if (picks[i]) next[p] = picks[i]; });
+    const winners  = next.filter(Boolean);
+    const endedAt  = Date.now();
+    const drawHash = hashDraw(giveaway.participants, winners, endedAt);
+
+    replaced.forEach((uid, i) => {
+      if (picks[i]) stmts.removeWin.run(Date.now(), uid, guild.id);
+      // Un prix non réclamé reste expiré même sans remplaçant : le délai ne doit pas se redéclencher
+      if (picks[i] || replacedStatus !== 'replaced') stmts.closeClaim.run(replacedStatus, Date.now(), rootId, uid);
+    });
+    for (const uid of picks) stmts.addWin.run(uid, guild.id, Date.now());
+    const claim = picks.length ? { id: rootId, deadline: openClaims(guild.id, rootId, picks) } : null;
+
+    const historyId = archiveGiveaway(giveaway, winners, drawHash, pool, endedAt, {
+      threadId: latest.threadId, parentId: rootId, drawSalt
+    });
+    auditLog(guild.id, 'GIVEAWAY_REROLL', actorId, null, { rootHash: root.drawHash, replaced, newWinners: picks, drawHash });
+
     const channel = await clientInstance.channels.fetch(giveaway.channelId).catch(() => null);
-    if (!channel) { deleteGiveaway(giveaway.messageId); return; }
-    const message = await channel.messages.fetch(giveaway.messageId).catch(() => null);
+    const winnerMembers = (await Promise.all(winners.map(id => guild.members.fetch(id).catch(() => null)))).filter(Boolean);
+    const pickMembers   = winnerMembers.filter(m => picks.includes(m.id));
+
+    if (channel && giveaway.messageId) {
+      const message   = await channel.messages.fetch(giveaway.messageId).catch(() => null);
+      const organizer = await guild.members.fetch(giveaway.organizer).catch(() => null);
+      await message?.edit({
+        components: [createEndedGiveawayContainer(giveaway, winners, organizer, drawHash, guild)],
+        flags: [MessageFlags.IsComponentsV2]
+      }).catch(() => {});
+    }
+
+    let thread = latest.threadId ? await clientInstance.channels.fetch(latest.threadId).catch(() => null) : null;
+    if (thread && pickMembers.length) {
+      if (thread.archived) await thread.setArchived(false).catch(() => {});
+      for (const m of pickMembers) await thread.members.add(m.id).catch(() => {});
+      await thread.send({
+        // Remplaçants à leur rang, pour afficher le palier remporté
+        components: [createWinnersThreadContainer(giveaway, guild, drawHash, winners.map(id => picks.includes(id) ? id : null), claim)],
+        flags: [MessageFlags.IsComponentsV2]
+      }).catch(() => {});
+    } else if (channel && pickMembers.length) {
+      thread = await createPrivateThreadForWinners(channel, picks, giveaway, drawHash, claim);
+      if (thread && historyId) stmts.setHistoryThread.run(thread.id, historyId);
+    }
+
+    if (channel) {
+      const swaps = replaced.map((uid, i) => picks[i] ? `<@${picks[i]}> remplace <@${uid}>` : `<@${uid}> reste gagnant, faute de remplaçant`);
+      await channel.send({
+        content: `🔄 **REROLL !** ${swaps.join(', ')} pour **${sanitize(giveaway.prix)}** !${thread && picks.length ? ` 🎁 ${thread}` : ''}`
+      }).catch(() => {});
+    }
+
+    await postToLogChannel(guild.id, createLogContainer(
+      '🔄 Reroll',
+      `**Prix :** ${sanitize(giveaway.prix)}\n` +
+      `**Remplacés :** ${replaced.filter((_, i) => picks[i]).map(id => `<@${id}>`).join(', ') || 'Aucun'}\n` +
+      `**Nouveaux gagnants :** ${picks.map(id => `<@${id}>`).join(', ') || 'Aucun'}\n` +
+      `**Par :** <@${actorId}>\n` +
+      `**Hash :** \`${drawHash}\` (tirage d'origine \`${root.drawHash ?? 'N/A'}\`)`,
+      COLORS.orange
+    ));
+
+    return { winners, picks, replaced, drawHash, historyId };
+  } finally {
+    rerollingGiveaways.delete(rootId);
+  }
+}
+
+// ==================== SÉRIES ====================
+
+// Date "locale" (fuseau du serveur) de ts, sous forme d'un minuit UTC pour itérer jour par jour
+function localCalendarDay(ts, timeZone) {
+  const local = ts + getTimezoneOffset(ts, timeZone);
+  return Date.UTC(new Date(local).getUTCFullYear(), new Date(local).getUTCMonth(), new Date(local).getUTCDate());
+}
+
+/**
+ * Prochaine occurrence strictement après `after` d'une règle calendaire
+ * { freq: 'daily'|'weekly'|'monthly', time: 'HH:MM', weekday?, monthday? }, lue dans le fuseau du serveur.
+ * Un jour du mois absent (31 en avril) tombe le dernier jour du mois.
+ */
+function nextSeriesRun(rule, timeZone, after = Date.now()) {
+  const pad = n => String(n).padStart(2, '0');
+  const start = localCalendarDay(after, timeZone);
+  for (let i = 0; i <= 366; i++) {
+    const day = new Date(start + i * 24 * 60 * 60 * 1000);
+    const lastOfMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+    const matches = rule.freq === 'daily'
+      || (rule.freq === 'weekly'  && day.getUTCDay() === rule.weekday)
+      || (rule.freq === 'monthly' && day.getUTCDate() === Math.min(rule.monthday, lastOfMonth));
+    if (!matches) continue;
+    const ts = parseDateInput(`${pad(day.getUTCDate())}/${pad(day.getUTCMonth() + 1)}/${day.getUTCFullYear()} ${rule.time}`, timeZone);
+    if (ts !== null && ts > after) return ts;
+  }
+  return null;
+}
+
+function formatSeriesRule(rule) {
+  switch (rule.freq) {
+    case 'daily':   return `Tous les jours à ${rule.time}`;
+    case 'weekly':  return `Chaque ${WEEKDAYS[rule.weekday]} à ${rule.time}`;
+    case 'monthly': return `Le ${rule.monthday} de chaque mois à ${rule.time}`;
+    default:        return rule.delay ? `${formatDuration(rule.delay)} après chaque fin` : 'Dès la fin du précédent';
+  }
+}
+
+function scheduleSeries(seriesId, runAt) {
+  stmts.setSeriesNextRun.run(runAt, seriesId);
+  if (runAt) enqueueJob('series_run', String(seriesId), runAt, {}, { key: `series:${seriesId}` });
+}
+
+function cancelSeriesJob(seriesId) {
+  stmts.cancelJob.run(`series:${seriesId}`);
+  stmts.setSeriesNextRun.run(null, seriesId);
+  armJobTimer();
+}
+
+// Lance l'instance suivante au nom du créateur de la série, dans le salon de la série.
+// L'occurrence est réservée avant l'envoi : un job rejoué après un redémarrage ne publie pas de doublon.
+async function runSeriesInstance(series) {
+  const rule     = JSON.parse(series.rule);
+  const settings = JSON.parse(series.settings);
+  if (!stmts.claimSeriesRun.run(series.id).changes) return;
+  if (rule.freq !== 'after') scheduleSeries(series.id, nextSeriesRun(rule, getGuildConfig(series.guildId).timezone));
+  try {
+    const guild   = await clientInstance.guilds.fetch(series.guildId);
+    const channel = await clientInstance.channels.fetch(series.channelId).catch(() => null);
+    const member  = await guild.members.fetch(series.createdBy).catch(() => null);
+    if (!channel) throw new Error('Salon de la série introuvable.');
+    if (!member)  throw new Error(`Le créateur de la série <@${series.createdBy}> a quitté le serveur.`);
+
+    const ctx = { guild, guildId: guild.id, channel, channelId: channel.id, member, user: member.user };
+    const giveaway = await launchGiveaway(ctx, settings, { series: series.id }, { seriesId: series.id });
+    stmts.markSeriesRun.run(Date.now(), giveaway.messageId, series.id);
+  } catch (e) {
+    await postToLogChannel(series.guildId, createLogContainer(
+      '⚠️ Série de giveaways',
+      `La série **#${series.id}** (${sanitize(settings.prix, 80)}) n'a pas pu lancer de giveaway :\n${e.message}`,
+      COLORS.orange
+    ));
+    // Calendrier : l'occurrence suivante est déjà planifiée ; après-fin : nouvel essai plus tard
+    if (rule.freq === 'after') scheduleSeries(series.id, Date.now() + SERIES_RETRY_DELAY);
+  }
+}
+
+// Fin (ou annulation) d'une instance : les séries "après la fin" enchaînent sur la suivante
+function onSeriesInstanceEnded(giveaway) {
+  if (!giveaway.seriesId) return;
+  const series = stmts.getSeries.get(giveaway.seriesId);
+  if (series?.status !== 'active') return;
+  const rule = JSON.parse(series.rule);
+  if (rule.freq === 'after') scheduleSeries(series.id, Date.now() + (rule.delay ?? 0));
+}
+
+async function processExpiredGiveaway(giveaway) {
+  try {
+    const message = await fetchGiveawayMessage(giveaway);
     if (!message) { deleteGiveaway(giveaway.messageId); return; }
     if (!message.components.length) { deleteGiveaway(giveaway.messageId); return; }
     await endClassicGiveaway(message, giveaway);
   } catch (e) { console.error('processExpiredGiveaway:', e); deleteGiveaway(giveaway.messageId); }
 }
 
-async function checkExpiredGiveaways() {
-  const now = Date.now();
-  for (const key of giveawaysCache.keys()) {
-    const g = giveawaysCache.get(key);
-    if (g && g.endTime <= now && !activeTimers.has(g.messageId)) {
-      await processExpiredGiveaway(g).catch(console.error);
-    }
-  }
-}
-
 async function restartAllGiveaways() {
   const rows = stmts.selectAll.all();
-  let ok = 0, expired = 0;
+  let ok = 0, pending = 0, expired = 0;
   for (const row of rows) {
     try {
-      row.participants = JSON.parse(row.participants || '[]');
-      row.bonusRoles   = JSON.parse(row.bonusRoles   || '{}');
-      if (!row.startTime && row.duration) { row.startTime = row.endTime - row.duration; stmts.updateStartTime.run(row.startTime, row.messageId); }
+      giveawaysCache.set(row.messageId, parseGiveawayRow(row));
 
-      if (row.endTime <= Date.now()) { await processExpiredGiveaway(row); expired++; continue; }
+      // Un giveaway planifié n'a pas encore commencé : il ne peut pas être expiré
+      if (!row.scheduledStart && !row.pausedAt && row.endTime <= Date.now()) { enqueueJob('giveaway_end', row.messageId, row.endTime); expired++; continue; }
 
-      const channel = await clientInstance.channels.fetch(row.channelId).catch(() => null);
-      if (!channel) { deleteGiveaway(row.messageId); continue; }
-      const message = await channel.messages.fetch(row.messageId).catch(() => null);
+      const message = await fetchGiveawayMessage(row);
       if (!message) { deleteGiveaway(row.messageId); continue; }
-      giveawaysCache.set(row.messageId, row);
+
+      if (row.scheduledStart) {
+        await message.edit({
+          components: [createScheduledContainer(row, formatDuration(row.duration), message.guild)],
+          flags: [MessageFlags.IsComponentsV2]
+        }).catch(() => {});
+        scheduleGiveawayStart(row);
+        pending++;
+        continue;
+      }
+
       await startClassicCountdown(message, row);
       ok++;
     } catch (e) { console.error('restartAllGiveaways:', e); }
   }
-  console.log(`✅ Redémarrage : ${ok} actifs, ${expired} expirés traités`);
+  console.log(`✅ Redémarrage : ${ok} actifs, ${pending} planifiés, ${expired} expirés à clôturer`);
+}
+
+// ==================== JOBS ====================
+
+let jobTimer         = null;
+let jobRunnerStarted = false;
+let jobsRunning      = false;
+
+/**
+ * Planifie une action durable. La clé (type:ref par défaut) rend l'opération idempotente :
+ * - par défaut, un job existant est ré-armé à la nouvelle échéance ;
+ * - avec once, un job déjà planifié ou exécuté n'est jamais recréé.
+ */
+function enqueueJob(type, ref, runAt, payload = {}, { key = `${type}:${ref}`, once = false, maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+  const stmt = once ? stmts.insertJobOnce : stmts.upsertJob;
+  stmt.run(type, key, ref ?? null, JSON.stringify(payload), runAt, maxAttempts, Date.now(), Date.now());
+  armJobTimer();
+}
+
+function cancelGiveawayJobs(messageId) {
+  stmts.cancelJobsByRef.run(messageId);
+}
+
+function armJobTimer() {
+  if (!jobRunnerStarted || jobsRunning) return;
+  clearTimeout(jobTimer);
+  const next  = stmts.nextJobRunAt.get()?.runAt;
+  const delay = next == null ? JOB_POLL_MAX : Math.min(Math.max(0, next - Date.now()), JOB_POLL_MAX);
+  jobTimer = setTimeout(() => runDueJobs().catch(console.error), delay);
+}
+
+async function runJob(job) {
+  if (stmts.claimJob.run(Date.now(), job.id).changes !== 1) return;
+  try {
+    const handler = jobHandlers[job.type];
+    if (!handler) throw new Error(`Type de job inconnu : ${job.type}`);
+    await handler(job.ref, JSON.parse(job.payload || '{}'));
+    stmts.completeJob.run(Date.now(), job.id);
+  } catch (e) {
+    const attempts = job.attempts + 1;
+    const status   = attempts < job.maxAttempts ? 'pending' : 'failed';
+    stmts.failJob.run(status, Date.now() + JOB_RETRY_DELAY * 2 ** (attempts - 1), String(e?.message ?? e).slice(0, 500), Date.now(), job.id);
+    console.error(`Job ${job.jobKey} (${status === 'failed' ? 'abandonné' : `essai ${attempts}`}):`, e);
+  }
+}
+
+async function runDueJobs() {
+  if (jobsRunning) return;
+  jobsRunning = true;
+  try {
+    let due;
+    while ((due = stmts.dueJobs.all(Date.now())).length) {
+      for (const job of due) await runJob(job);
+    }
+  } finally {
+    jobsRunning = false;
+    armJobTimer();
+  }
+}
+
+function startJobRunner() {
+  // Un job resté "running" a été interrompu par un arrêt du bot : on le rejoue
+  const { changes } = stmts.resetRunningJobs.run(Date.now());
+  if (changes) console.log(`🔁 ${changes} job(s) interrompu(s) relancé(s)`);
+  jobRunnerStarted = true;
+  enqueueJob('maintenance', null, Date.now(), {}, { key: 'maintenance' });
+}
+
+const jobHandlers = {
+  async giveaway_start(messageId) {
+    const g = giveawaysCache.get(messageId);
+    if (!g?.scheduledStart) return;
+    if (g.scheduledStart > Date.now()) { scheduleGiveawayStart(g); return; }
+    const message = await fetchGiveawayMessage(g);
+    if (!message) { deleteGiveaway(messageId); return; }
+    await launchScheduledGiveaway(message, g);
+  },
+
+  async giveaway_update(messageId) {
+    const g = giveawaysCache.get(messageId);
+    if (!g || g.scheduledStart || g.pausedAt || g.endTime <= Date.now()) return;
+    const message = await fetchGiveawayMessage(g);
+    if (!message) return;
+    try {
+      await message.edit({
+        components: [createGiveawayContainer(g, message.guild)],
+        flags: [MessageFlags.IsComponentsV2]
+      });
+    } catch { return; }
+    scheduleNextUpdate(g);
+  },
+
+  async giveaway_end(messageId) {
+    const g = giveawaysCache.get(messageId);
+    if (!g || g.pausedAt) return;
+    if (g.endTime > Date.now()) { enqueueJob('giveaway_end', messageId, g.endTime); return; }
+    await processExpiredGiveaway(g);
+  },
+
+  async dm_reminder(messageId) {
+    const g = giveawaysCache.get(messageId);
+    if (!g || g.pausedAt || !getGuildConfig(g.guildId).dmReminder) return;
+    // Un job par participant : un redémarrage en plein envoi ne renvoie pas les DM déjà partis
+    for (const userId of g.participants)
+      enqueueJob('dm_send', messageId, Date.now(), { userId }, { key: `dm_send:${messageId}:${userId}`, once: true });
+  },
+
+  async dm_send(messageId, { userId }) {
+    const g = giveawaysCache.get(messageId);
+    if (g) await sendDMReminder(g, userId);
+  },
+
+  async claim_deadline(ref) {
+    const root = stmts.getHistoryById.get(Number(ref));
+    if (!root) return;
+    const expired = stmts.dueClaims.all(root.id, Date.now()).map(c => c.userId);
+    if (expired.length) {
+      const guild = await clientInstance.guilds.fetch(root.guildId).catch(() => null);
+      if (!guild) return;
+      const { picks } = await rerollGiveaway(guild, root, expired, clientInstance.user.id, 'expired');
+      await postToLogChannel(root.guildId, createLogContainer(
+        '⏰ Prix non réclamé',
+        `<@${root.organizer}>, des gagnants n'ont pas réclamé leur prix à temps.\n` +
+        `**Prix :** ${sanitize(root.prix)}\n` +
+        `**Non réclamé :** ${expired.map(id => `<@${id}>`).join(', ')}\n` +
+        `**Remis en jeu :** ${picks.map(id => `<@${id}>`).join(', ') || 'Aucun participant éligible'}`,
+        COLORS.orange
+      ));
+    }
+    armClaimJob(root.id);
+  },
+
+  async blacklist_expire(ref) {
+    const [guildId, userId] = ref.split(':');
+    if (!stmts.expireBlacklist.run(userId, guildId, Date.now()).changes) return;
+    auditLog(guildId, 'BLACKLIST_EXPIRE', clientInstance.user.id, userId);
+    await postToLogChannel(guildId, createLogContainer('🔓 Blacklist expirée', `<@${userId}> peut de nouveau participer aux giveaways.`, COLORS.green));
+  },
+
+  async series_run(ref) {
+    const series = stmts.getSeries.get(Number(ref));
+    if (series?.status === 'active') await runSeriesInstance(series);
+  },
+
+  async maintenance() {
+    stmts.pruneJobs.run(Date.now() - JOB_RETENTION);
+    stmts.pruneActivity.run(activityBucket(Date.now() - ACTIVITY_RETENTION));
+    stmts.pruneAudit.run({ now: Date.now() });
+    enqueueJob('maintenance', null, Date.now() + 24 * 60 * 60 * 1000, {}, { key: 'maintenance' });
+  },
+};
+
+// ==================== ANTI-FRAUDE ====================
+
+// Horodatages récents d'une clé, purgés au-delà de keepMs ; retourne la liste à jour
+function trackBurst(key, at, keepMs) {
+  const list = (fraudBursts.get(key) ?? []).filter(t => t > at - keepMs).slice(-5000);
+  list.push(at);
+  fraudBursts.set(key, list);
+  return list;
+}
+
+function getFraudSuspects(giveaway) {
+  const ids = Object.keys(giveaway.review ?? {}).filter(uid => giveaway.review[uid] === 'pending');
+  return ids.length ? { ids: new Set(ids), policy: getGuildConfig(giveaway.guildId).fraudDraw } : null;
+}
+
+function detectFraud(member, giveaway, config) {
+  const { user } = member;
+  const now      = Date.now();
+  const window   = `${FRAUD_BURST_WINDOW / 1000} s`;
+  const reasons  = [];
+  if (config.fraudMinAge && now - user.createdTimestamp < config.fraudMinAge)
+    reasons.push(`Compte créé <t:${toUnix(user.createdTimestamp)}:R>`);
+  if (config.fraudAvatar && !user.avatar)
+    reasons.push('Avatar par défaut');
+  if (config.fraudBurst) {
+    const joins = (fraudBursts.get(`join:${member.guild.id}`) ?? [])
+      .filter(t => Math.abs(t - member.joinedTimestamp) <= FRAUD_BURST_WINDOW).length;
+    if (joins >= config.fraudBurst) reasons.push(`Arrivée groupée (${joins} arrivées en ${window})`);
+    const entries = trackBurst(`enter:${giveaway.messageId}`, now, FRAUD_BURST_WINDOW).length;
+    if (entries >= config.fraudBurst) reasons.push(`Rafale de participations (${entries} en ${window})`);
+  }
+  return reasons;
+}
+
+/**
+ * Contrôle d'une participation ; retourne l'état de vérification du membre pour ce giveaway :
+ * 'pending' (acceptée, signalée), 'held' (retenue jusqu'à décision), 'approved', 'rejected' ou undefined.
+ * Une participation suspecte n'est mise en file qu'une fois par giveaway.
+ * Synchrone : giveaway est une copie du cache, un await avant son enregistrement écraserait
+ * les participations arrivées entre-temps. La carte de vérification part sans être attendue.
+ */
+function screenEntry(member, giveaway) {
+  const state = giveaway.review?.[member.id];
+  if (state) return state;
+
+  const config = getGuildConfig(giveaway.guildId);
+  if (config.fraudMode === 'off') return undefined;
+  const reasons = detectFraud(member, giveaway, config);
+  if (!reasons.length) return undefined;
+
+  // Un lot de drop est acquis au clic : pas de participation « signalée » possible, elle est retenue
+  const status = config.fraudMode === 'reject' || giveaway.mode === 'drop' ? 'held' : 'pending';
+  giveaway.review = { ...giveaway.review, [member.id]: status };
+  saveGiveaway(giveaway);
+  auditLog(giveaway.guildId, 'FRAUD_FLAG', member.id, null, { messageId: giveaway.messageId, reasons, status });
+  postToLogChannel(giveaway.guildId, createFraudReviewContainer(giveaway, member.id, reasons, status));
+  return status;
+}
+
+function formatReviewRefusal(review, drop = false) {
+  if (review === 'rejected') return '<:Erreur:1407372995176960132> Votre participation à ce giveaway a été refusée par un modérateur.';
+  return drop
+    ? '⏳ Un modérateur doit vérifier votre compte avant que vous puissiez réclamer un lot. Réessayez une fois approuvé.'
+    : '⏳ Votre participation doit être vérifiée par un modérateur avant d\'être prise en compte.';
+}
+
+function createFraudReviewContainer(giveaway, userId, reasons, status) {
+  const link = `https://discord.com/channels/${giveaway.guildId}/${giveaway.channelId}/${giveaway.messageId}`;
+  const container = createLogContainer(
+    '🕵️ Participation suspecte',
+    `**Membre :** <@${userId}>\n**Giveaway :** [${sanitize(giveaway.prix, 100)}](${link})\n` +
+    reasons.map(r => `• ${r}`).join('\n') +
+    `\n\n*${status === 'held' ? 'Participation retenue jusqu\'à votre décision.' : 'Participation enregistrée, traitée comme suspecte au tirage tant qu\'elle n\'est pas approuvée.'}*`,
+    COLORS.orange
+  );
+  container.addActionRowComponents(new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`fraud:approve:${giveaway.messageId}:${userId}`)
+      .setLabel('Approuver').setStyle(ButtonStyle.Success).setEmoji('✅'),
+    new ButtonBuilder().setCustomId(`fraud:reject:${giveaway.messageId}:${userId}`)
+      .setLabel('Rejeter').setStyle(ButtonStyle.Danger).setEmoji('⛔')
+  ));
+  return container;
+}
+
+async function handleFraudReview(interaction) {
+  if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageMessages))
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Permissions insuffisantes.', flags: [MessageFlags.Ephemeral] });
+
+  const [, decision, messageId, userId] = interaction.customId.split(':');
+  const closed = (title, content, color) => interaction.update({
+    components: [createLogContainer(title, content, color)],
+    flags: [MessageFlags.IsComponentsV2]
+  });
+  const isOpen = (g) => g && !endingGiveaways.has(messageId) && (g.scheduledStart || g.endTime > Date.now());
+  // Une décision ne se prend qu'une fois : un second clic ne l'écrase pas
+  const awaitingDecision = (g) => ['pending', 'held'].includes(g.review?.[userId]);
+  const noDecision = (state) => state === 'approved' ? 'Cette participation a déjà été approuvée.'
+    : state === 'rejected' ? 'Cette participation a déjà été rejetée.'
+    : 'Aucune vérification en attente pour ce membre.';
+
+  let giveaway = giveawaysCache.get(messageId);
+  if (!isOpen(giveaway))
+    return closed('🕵️ Vérification close', `<@${userId}> — le giveaway est terminé ou introuvable.`, COLORS.grey);
+  if (!awaitingDecision(giveaway))
+    return interaction.reply({ content: `<:Erreur:1407372995176960132> ${noDecision(giveaway.review?.[userId])}`, flags: [MessageFlags.Ephemeral] });
+
+  // Une participation retenue n'a jamais été enregistrée : les contrôles d'entrée sont refaits à l'approbation
+  const wasHeld = giveaway.review[userId] === 'held';
+  const admit   = decision === 'approve' && wasHeld && giveaway.mode !== 'drop';
+  let refusal   = null;
+  if (admit) {
+    const member = await interaction.guild.members.fetch(userId).catch(() => null);
+    const unmet  = member && checkRequirements(member, giveaway);
+    refusal = !member ? `<@${userId}> n'est plus membre du serveur.`
+      : stmts.getBlacklistEntry.get(userId, interaction.guildId, Date.now()) ? `<@${userId}> est blacklisté.`
+      : unmet ? `condition non remplie. ${unmet}` : null;
+    // Relecture après l'attente : le giveaway a pu changer, ou un autre modérateur décider
+    giveaway = giveawaysCache.get(messageId);
+    if (!isOpen(giveaway))
+      return closed('🕵️ Vérification close', `<@${userId}> — le giveaway est terminé ou introuvable.`, COLORS.grey);
+    if (!awaitingDecision(giveaway))
+      return interaction.reply({ content: `<:Erreur:1407372995176960132> ${noDecision(giveaway.review?.[userId])}`, flags: [MessageFlags.Ephemeral] });
+  }
+
+  giveaway.review = { ...giveaway.review, [userId]: decision === 'approve' ? 'approved' : 'rejected' };
+  // Drop : l'approbation débloque le clic, le lot n'est pas attribué d'office
+  const added = admit && !refusal && !giveaway.participants.includes(userId);
+  if (added) giveaway.participants.push(userId);
+  if (decision === 'reject') giveaway.participants = giveaway.participants.filter(id => id !== userId);
+  saveGiveaway(giveaway);
+  auditLog(giveaway.guildId, decision === 'approve' ? 'FRAUD_APPROVE' : 'FRAUD_REJECT', interaction.user.id, userId, { messageId, refusal });
+  if (added) auditLog(giveaway.guildId, 'PARTICIPANT_ENTER', userId, null, { messageId, approvedBy: interaction.user.id });
+
+  await closed(
+    decision === 'approve' ? '✅ Participation approuvée' : '⛔ Participation rejetée',
+    `<@${userId}> — **${sanitize(giveaway.prix, 100)}** — décision de <@${interaction.user.id}>.` +
+    (refusal ? `\n<:Attention:1407372958501965914> Participation non enregistrée : ${refusal}` : ''),
+    decision === 'approve' ? COLORS.green : COLORS.crimson
+  );
+  const message = await fetchGiveawayMessage(giveaway);
+  await message?.edit({
+    components: [createGiveawayContainer(giveaway, message.guild)],
+    flags: [MessageFlags.IsComponentsV2]
+  }).catch(() => {});
+}
+
+function formatFraudSettings(config) {
+  if (config.fraudMode === 'off') return 'Désactivé';
+  const checks = [
+    config.fraudMinAge ? `compte de moins de ${formatDuration(config.fraudMinAge)}` : null,
+    config.fraudAvatar ? 'avatar par défaut' : null,
+    config.fraudBurst  ? `rafale de ${config.fraudBurst} en ${FRAUD_BURST_WINDOW / 1000} s` : null
+  ].filter(Boolean);
+  return `${config.fraudMode === 'reject' ? 'Retenir' : 'Signaler'} (${checks.join(', ') || 'aucun critère'}) — ` +
+    `suspects non vérifiés ${config.fraudDraw === 'reduce' ? 'limités à 1 ticket' : 'exclus du tirage'}`;
 }
 
 // ==================== GESTION DES BOUTONS ====================
@@ -954,11 +2449,12 @@ async function handleEnterGiveaway(interaction, giveaway) {
   if (!rateLimit(user.id, 'enter', PARTICIPANT_CD))
     return interaction.reply({ content: '⏳ Patientez quelques secondes.', flags: [MessageFlags.Ephemeral] });
 
-  if (stmts.isBlacklisted.get(user.id, guild.id))
-    return interaction.reply({ content: '<:Erreur:1407372995176960132> Vous êtes blacklisté des giveaways.', flags: [MessageFlags.Ephemeral] });
+  const banned = stmts.getBlacklistEntry.get(user.id, guild.id, Date.now());
+  if (banned) return interaction.reply({ content: formatBlacklistRefusal(banned), flags: [MessageFlags.Ephemeral] });
 
-  if (giveaway.roleRequired && !member.roles.cache.has(giveaway.roleRequired))
-    return interaction.reply({ content: `<:Erreur:1407372995176960132> Rôle requis : <@&${giveaway.roleRequired}>`, flags: [MessageFlags.Ephemeral] });
+  const unmet = checkRequirements(member, giveaway);
+  if (unmet)
+    return interaction.reply({ content: `<:Erreur:1407372995176960132> ${unmet}`, flags: [MessageFlags.Ephemeral] });
 
   const lockKey = `${giveaway.messageId}:${user.id}`;
   if (participationLock.has(lockKey))
@@ -970,11 +2466,17 @@ async function handleEnterGiveaway(interaction, giveaway) {
     if (!fresh) return interaction.reply({ content: '<:Erreur:1407372995176960132> Giveaway introuvable.', flags: [MessageFlags.Ephemeral] });
     if (fresh.participants.includes(user.id)) return interaction.reply({ content: '<:Erreur:1407372995176960132> Vous participez déjà.', flags: [MessageFlags.Ephemeral] });
 
+    const review = screenEntry(member, fresh);
+    if (review === 'rejected' || review === 'held')
+      return interaction.reply({ content: formatReviewRefusal(review), flags: [MessageFlags.Ephemeral] });
+
     fresh.participants.push(user.id);
     saveGiveaway(fresh);
 
-    const tickets = getMemberTickets(member, fresh.bonusRoles ?? {});
-    const ticketMsg = tickets > 1 ? ` Vous avez **${tickets} tickets** !` : '';
+    const tickets = getMemberTickets(member, fresh.bonusRoles ?? {}, getBonusOptions(fresh));
+    const ticketMsg = review === 'pending'
+      ? ' Elle sera vérifiée par un modérateur avant le tirage.'
+      : tickets > 1 ? ` Vous avez **${tickets} tickets** !` : '';
 
     await interaction.reply({ content: `<:Valider:1407373060784521287> Vous avez rejoint le giveaway ! Bonne chance !${ticketMsg}`, flags: [MessageFlags.Ephemeral] });
     await interaction.message.edit({
@@ -985,12 +2487,113 @@ async function handleEnterGiveaway(interaction, giveaway) {
   } finally { participationLock.delete(lockKey); }
 }
 
+async function handleDropClaim(interaction, giveaway) {
+  const { user, guild, member } = interaction;
+
+  if (!rateLimit(user.id, 'enter', PARTICIPANT_CD))
+    return interaction.reply({ content: '⏳ Patientez quelques secondes.', flags: [MessageFlags.Ephemeral] });
+
+  const banned = stmts.getBlacklistEntry.get(user.id, guild.id, Date.now());
+  if (banned) return interaction.reply({ content: formatBlacklistRefusal(banned), flags: [MessageFlags.Ephemeral] });
+
+  const unmet = checkRequirements(member, giveaway);
+  if (unmet)
+    return interaction.reply({ content: `<:Erreur:1407372995176960132> ${unmet}`, flags: [MessageFlags.Ephemeral] });
+
+  if (endingGiveaways.has(giveaway.messageId))
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Trop tard, tous les lots sont partis !', flags: [MessageFlags.Ephemeral] });
+
+  // Premier arrivé, premier servi : un suspect ne prend aucun lot tant qu'il n'est pas approuvé
+  const current = giveawaysCache.get(giveaway.messageId);
+  if (current && !current.participants.includes(user.id)) {
+    const review = screenEntry(member, current);
+    if (review && review !== 'approved')
+      return interaction.reply({ content: formatReviewRefusal(review, true), flags: [MessageFlags.Ephemeral] });
+  }
+
+  const result = claimDropSlot.immediate(giveaway.messageId, user.id);
+  if (result.status === 'already')
+    return interaction.reply({ content: `<:Erreur:1407372995176960132> Vous avez déjà remporté un lot (n°${result.winners.indexOf(user.id) + 1}).`, flags: [MessageFlags.Ephemeral] });
+  if (result.status === 'closed')
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Trop tard, tous les lots sont partis !', flags: [MessageFlags.Ephemeral] });
+
+  const fresh = giveawaysCache.get(giveaway.messageId);
+  if (!fresh) return interaction.reply({ content: '<:Erreur:1407372995176960132> Giveaway introuvable.', flags: [MessageFlags.Ephemeral] });
+  fresh.participants = result.winners;
+  giveawaysCache.set(fresh.messageId, fresh);
+  auditLog(guild.id, 'DROP_WIN', user.id, null, { messageId: fresh.messageId, rank: result.winners.length });
+
+  await interaction.reply({
+    content: `🎉 Bravo, vous remportez **${sanitize(fresh.prix)}** ! (lot ${result.winners.length}/${fresh.gagnants})`,
+    flags: [MessageFlags.Ephemeral]
+  });
+
+  if (result.full) {
+    fresh.endTime = Date.now() - 1;
+    await endClassicGiveaway(interaction.message, fresh);
+    return;
+  }
+  await interaction.message.edit({
+    components: [createGiveawayContainer(fresh, guild)],
+    flags: [MessageFlags.IsComponentsV2]
+  }).catch(() => {});
+}
+
+async function handleQuizPrompt(interaction, giveaway) {
+  const { user, guild, member } = interaction;
+
+  const banned = stmts.getBlacklistEntry.get(user.id, guild.id, Date.now());
+  if (banned) return interaction.reply({ content: formatBlacklistRefusal(banned), flags: [MessageFlags.Ephemeral] });
+  if (giveaway.participants.includes(user.id))
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Vous participez déjà.', flags: [MessageFlags.Ephemeral] });
+
+  const unmet = checkRequirements(member, giveaway);
+  if (unmet)
+    return interaction.reply({ content: `<:Erreur:1407372995176960132> ${unmet}`, flags: [MessageFlags.Ephemeral] });
+
+  const modal = new ModalBuilder()
+    .setCustomId(`quiz:${giveaway.messageId}`)
+    .setTitle('❓ Question du giveaway')
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder().setCustomId('answer').setLabel(giveaway.quiz.question.slice(0, 45))
+        .setPlaceholder(giveaway.quiz.question.slice(0, 100))
+        .setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(100)
+    ));
+  await interaction.showModal(modal);
+}
+
+async function handleQuizAnswer(interaction) {
+  const messageId = interaction.customId.slice('quiz:'.length);
+  const giveaway  = giveawaysCache.get(messageId);
+  if (!giveaway?.quiz || giveaway.pausedAt || giveaway.scheduledStart)
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Ce giveaway n\'accepte pas de réponse pour le moment.', flags: [MessageFlags.Ephemeral] });
+
+  // Un essai par fenêtre : une mauvaise réponse impose d'attendre avant de retenter
+  const { user } = interaction;
+  if (!rateLimit(user.id, `quiz:${messageId}`, QUIZ_RETRY_CD))
+    return interaction.reply({ content: `⏳ Un essai toutes les ${QUIZ_RETRY_CD / 1000} secondes.`, flags: [MessageFlags.Ephemeral] });
+
+  const answer  = interaction.fields.getTextInputValue('answer');
+  const correct = isCorrectAnswer(giveaway.quiz, answer);
+  auditLog(giveaway.guildId, 'QUIZ_ANSWER', user.id, null, { messageId, answer: sanitize(answer, 100), correct });
+
+  if (!correct)
+    return interaction.reply({
+      content: `<:Erreur:1407372995176960132> Mauvaise réponse. Nouvel essai possible <t:${toUnix(Date.now() + QUIZ_RETRY_CD)}:R>.`,
+      flags: [MessageFlags.Ephemeral]
+    });
+
+  return giveaway.mode === 'drop' ? handleDropClaim(interaction, giveaway) : handleEnterGiveaway(interaction, giveaway);
+}
+
 async function handleLeaveGiveaway(interaction, giveaway) {
   const { user } = interaction;
   if (!rateLimit(user.id, 'leave', PARTICIPANT_CD))
     return interaction.reply({ content: '⏳ Patientez.', flags: [MessageFlags.Ephemeral] });
 
   const fresh = giveawaysCache.get(giveaway.messageId);
+  if (fresh?.mode === 'drop')
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Un lot de drop ne peut pas être rendu.', flags: [MessageFlags.Ephemeral] });
   if (!fresh || !fresh.participants.includes(user.id))
     return interaction.reply({ content: '<:Erreur:1407372995176960132> Vous ne participez pas à ce giveaway.', flags: [MessageFlags.Ephemeral] });
   if (fresh.endTime <= Date.now())
@@ -1027,6 +2630,7 @@ async function handleCancelGiveaway(interaction, giveaway) {
   ));
 
   deleteGiveaway(giveaway.messageId);
+  onSeriesInstanceEnded(giveaway);
   await interaction.reply({ content: '<:Attention:1407372958501965914> Giveaway annulé.', flags: [MessageFlags.Ephemeral] });
 }
 
@@ -1075,6 +2679,34 @@ async function handleShowParticipants(interaction, giveaway, page = 0) {
   }
 }
 
+async function handleClaimPrize(interaction, historyId) {
+  const { user } = interaction;
+  if (!rateLimit(user.id, 'claim', PARTICIPANT_CD))
+    return interaction.reply({ content: '⏳ Patientez quelques secondes.', flags: [MessageFlags.Ephemeral] });
+
+  const claim = stmts.getClaim.get(historyId, user.id);
+  const root  = stmts.getHistoryById.get(historyId);
+  if (!claim || !root)
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Ce bouton est réservé aux gagnants.', flags: [MessageFlags.Ephemeral] });
+  if (claim.status === 'claimed')
+    return interaction.reply({ content: '<:Valider:1407373060784521287> Vous avez déjà réclamé votre prix.', flags: [MessageFlags.Ephemeral] });
+  if (claim.status === 'replaced')
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Vous n\'êtes plus gagnant de ce giveaway.', flags: [MessageFlags.Ephemeral] });
+
+  const now = Date.now();
+  if (claim.status !== 'pending' || !stmts.claimPrize.run(now, now, historyId, user.id, now).changes)
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Le délai de réclamation est dépassé, le prix a été remis en jeu.', flags: [MessageFlags.Ephemeral] });
+
+  auditLog(root.guildId, 'PRIZE_CLAIM', user.id, null, { historyId, drawHash: root.drawHash });
+  await interaction.reply({ content: `<:Valider:1407373060784521287> Prix réclamé ! <@${root.organizer}> va vous contacter pour **${sanitize(root.prix)}**.`, flags: [MessageFlags.Ephemeral] });
+  await interaction.channel?.send({ content: `🎁 <@${user.id}> a réclamé son prix.` }).catch(() => {});
+  await postToLogChannel(root.guildId, createLogContainer(
+    '🎁 Prix réclamé',
+    `**Prix :** ${sanitize(root.prix)}\n**Gagnant :** <@${user.id}>\n**Organisateur :** <@${root.organizer}>`,
+    COLORS.green
+  ));
+}
+
 async function handleButtonInteraction(interaction) {
   const { customId } = interaction;
 
@@ -1091,12 +2723,35 @@ async function handleButtonInteraction(interaction) {
     return handleShowParticipants(interaction, giveaway, newPage);
   }
 
+  if (customId.startsWith('claim:')) return handleClaimPrize(interaction, Number(customId.slice('claim:'.length)));
+  if (customId.startsWith('fraud:')) return handleFraudReview(interaction);
+  if (customId.startsWith('blacklist_page:')) {
+    if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageMessages))
+      return interaction.reply({ content: '<:Erreur:1407372995176960132> Permissions insuffisantes.', flags: [MessageFlags.Ephemeral] });
+    await interaction.deferUpdate();
+    return interaction.editReply(renderBlacklistPage(interaction.guildId, Number(customId.slice('blacklist_page:'.length))));
+  }
+  if (customId.startsWith('audit:')) {
+    const [, queryId, page] = customId.split(':');
+    const query = auditQueries.get(queryId);
+    if (!query || query.userId !== interaction.user.id)
+      return interaction.reply({ content: '<:Erreur:1407372995176960132> Recherche expirée, relancez `/giveaway audit`.', flags: [MessageFlags.Ephemeral] });
+    await interaction.deferUpdate();
+    return interaction.editReply(renderAuditPage(interaction.guild, queryId, query, Number(page)));
+  }
+  if (customId.startsWith('wizard:')) return handleWizardInteraction(interaction);
+
   const giveaway = giveawaysCache.get(interaction.message.id);
   if (!giveaway)
     return interaction.reply({ content: '<:Erreur:1407372995176960132> Ce giveaway n\'existe plus.', flags: [MessageFlags.Ephemeral] });
 
+  if (giveaway.pausedAt && (customId === 'enter' || customId === 'leave'))
+    return interaction.reply({ content: '<:Attention:1407372958501965914> Ce giveaway est en pause, réessayez après la reprise.', flags: [MessageFlags.Ephemeral] });
+
   switch (customId) {
-    case 'enter':             return handleEnterGiveaway(interaction, giveaway);
+    case 'enter':
+      if (giveaway.quiz) return handleQuizPrompt(interaction, giveaway);
+      return giveaway.mode === 'drop' ? handleDropClaim(interaction, giveaway) : handleEnterGiveaway(interaction, giveaway);
     case 'leave':             return handleLeaveGiveaway(interaction, giveaway);
     case 'cancel':            return handleCancelGiveaway(interaction, giveaway);
     case 'show_participants': return handleShowParticipants(interaction, giveaway, 0);
@@ -1107,67 +2762,326 @@ async function handleButtonInteraction(interaction) {
 
 // ==================== COMMANDES ====================
 
-async function handleClassicGiveaway(interaction) {
-  const prix         = sanitize(interaction.options.getString('prix'), MAX_PRIX_LENGTH);
-  const gagnants     = interaction.options.getInteger('gagnants');
-  const duréeInput   = interaction.options.getString('durée');
-  const roleReq      = interaction.options.getRole('role_requis');
-  const roleMention  = interaction.options.getRole('role_mention');
-  const commentaire  = sanitize(interaction.options.getString('commentaire') ?? '', MAX_COMMENT_LENGTH);
-  let   image        = interaction.options.getString('image');
-  const organizer    = interaction.user.id;
+const PUBLISH_PERMISSIONS = {
+  ViewChannel: 'Voir le salon',
+  SendMessages: 'Envoyer des messages',
+  SendMessagesInThreads: 'Envoyer des messages dans les fils'
+};
 
-  if (!prix) throw new Error('Prix invalide.');
-  if (image && !isValidImageUrl(image)) image = null;
+/**
+ * Contexte de création pour un salon choisi (option salon, assistant) : vérifie que l'organisateur
+ * y a accès et que le bot peut y publier. Sans salon, l'interaction sert de contexte telle quelle.
+ */
+function publishContext(interaction, channel = interaction.options.getChannel('salon')) {
+  if (!channel) return interaction;
+  if (!channel.isTextBased() && channel.type !== ChannelType.GuildForum) throw new Error(`${channel} n'accepte pas de messages.`);
+  if (!channel.permissionsFor(interaction.member)?.has(PermissionsBitField.Flags.ViewChannel))
+    throw new Error(`Vous n'avez pas accès à ${channel}.`);
+
+  const perms   = channel.permissionsFor(interaction.guild.members.me);
+  const needed  = channel.type === ChannelType.GuildForum ? Object.keys(PUBLISH_PERMISSIONS) : ['ViewChannel', 'SendMessages'];
+  const missing = needed.filter(flag => !perms?.has(PermissionsBitField.Flags[flag]));
+  if (missing.length) throw new Error(`Permissions manquantes pour le bot dans ${channel} : ${missing.map(f => PUBLISH_PERMISSIONS[f]).join(', ')}.`);
+
+  return { guild: interaction.guild, guildId: interaction.guildId, channel, channelId: channel.id, member: interaction.member, user: interaction.user };
+}
 
-  const config = getGuildConfig(interaction.guildId);
-  if (config.allowedChannels.length && !config.allowedChannels.includes(interaction.channelId))
+// Forum : un post par giveaway, dont le message d'ouverture porte le giveaway. Annonces : crosspost facultatif
+async function postGiveawayMessage(channel, payload, { name, crosspost = false } = {}) {
+  if (channel.type === ChannelType.GuildForum) {
+    const post = await channel.threads.create({ name: `🎉 ${name}`.slice(0, 100), message: payload, reason: 'Nouveau giveaway' });
+    return post.fetchStarterMessage();
+  }
+  const msg = await channel.send(payload);
+  if (crosspost && channel.type === ChannelType.GuildAnnouncement)
+    await msg.crosspost().catch(e => console.error('crosspost:', e.message));
+  return msg;
+}
+
+/**
+ * Contrôles partagés par toute création, immédiate ou planifiée : gagnants et paliers, rôles encore
+ * présents, salon et rôles autorisés, limite de giveaways simultanés. Lève une Error au message affichable.
+ */
+function checkGiveawayCreation(ctx, settings, config) {
+  const { gagnants } = settings;
+  if (!Number.isInteger(gagnants) || gagnants < 1 || gagnants > 20) throw new Error('Le nombre de gagnants doit être compris entre 1 et 20.');
+  if (settings.tiers?.length && settings.tiers.reduce((n, t) => n + t.count, 0) !== gagnants)
+    throw new Error('Les paliers ne correspondent plus au nombre de gagnants.');
+
+  const requirements = settings.requirements ?? {};
+  const roleIds = [settings.roleRequired, settings.roleMention, ...(requirements.anyRoles ?? []), ...(requirements.allRoles ?? []), ...(requirements.excludedRoles ?? [])];
+  const deleted = roleIds.find(id => id && !ctx.guild.roles.cache.has(id));
+  if (deleted) throw new Error(`Le rôle \`${deleted}\` n'existe plus sur ce serveur.`);
+
+  if (config.allowedChannels.length && !config.allowedChannels.includes(ctx.channelId))
     throw new Error(`Les giveaways sont uniquement autorisés dans : ${config.allowedChannels.map(id => `<#${id}>`).join(', ')}`);
 
-  if (config.allowedRoles.length && !config.allowedRoles.some(rId => interaction.member.roles.cache.has(rId)))
+  if (config.allowedRoles.length && !config.allowedRoles.some(rId => ctx.member.roles.cache.has(rId)))
     throw new Error(`Seuls les membres avec les rôles autorisés peuvent créer des giveaways.`);
 
-  const active = stmts.countActive.get(interaction.guildId);
+  const active = stmts.countActive.get(ctx.guildId);
   if (active.cnt >= config.maxConcurrent)
     throw new Error(`Limite de ${config.maxConcurrent} giveaways simultanés atteinte.`);
+}
 
-  const duréeMap = {
-    '5m': 5*60*1000, '10m': 10*60*1000, '30m': 30*60*1000,
-    '1h': 3600*1000, '3h': 3*3600*1000, '5h': 5*3600*1000,
-    '1d': 86400*1000, '3d': 3*86400*1000, '5d': 5*86400*1000,
-    '1w': 7*86400*1000,
-  };
+/**
+ * Cœur commun de création (commande create, modèles, séries) : les réglages passent par les mêmes
+ * validations quelle que soit leur origine. ctx fournit guild, guildId, channel, channelId, member
+ * et user — une interaction convient telle quelle, publishContext en construit un pour un autre
+ * salon. Lève une Error au message affichable.
+ */
+async function launchGiveaway(ctx, settings, auditDetail = {}, extra = {}) {
+  const prix        = sanitize(settings.prix ?? '', MAX_PRIX_LENGTH);
+  const gagnants    = settings.gagnants;
+  const commentaire = sanitize(settings.commentaire ?? '', MAX_COMMENT_LENGTH);
+  const image       = settings.image && isValidImageUrl(settings.image) ? settings.image : null;
+  const organizer   = ctx.user.id;
+
+  if (!prix) throw new Error('Prix invalide.');
+  if (!settings.durée) throw new Error('Durée manquante.');
+
+  const requirements = settings.requirements ?? {};
+  const config = getGuildConfig(ctx.guildId);
+  checkGiveawayCreation(ctx, settings, config);
 
-  const duréeMs  = duréeMap[duréeInput];
   const startTime = Date.now();
+  const duréeMs   = resolveDuration(settings.durée, startTime, config);
   const endTime   = startTime + duréeMs;
 
   const giveaway = {
-    messageId: '', channelId: interaction.channelId, guildId: interaction.guildId,
+    messageId: '', channelId: ctx.channelId, guildId: ctx.guildId,
     prix, gagnants, endTime, startTime, duration: duréeMs, participants: [],
-    roleRequired: roleReq?.id ?? null, commentaire: commentaire || null,
-    image: image || null, organizer, bonusRoles: {}, drawHash: null, scheduledStart: null,
-    roleMention: roleMention?.id ?? null
+    roleRequired: settings.roleRequired ?? null, commentaire: commentaire || null,
+    image, organizer, bonusRoles: { ...(settings.bonusRoles ?? config.bonusRoles) }, drawHash: null, scheduledStart: null,
+    bonusMode: settings.bonusMode ?? config.bonusMode, bonusCap: settings.bonusCap ?? config.bonusCap,
+    roleMention: settings.roleMention ?? null, requirements, ticketRules: settings.ticketRules ?? {},
+    tiers: settings.tiers ?? [], quiz: settings.quiz ?? null,
+    ...createSeedCommitment(),
+    ...extra
   };
 
-  const container = createGiveawayContainer(giveaway, interaction.guild);
+  const container = createGiveawayContainer(giveaway, ctx.guild);
 
-  const msg = await interaction.channel.send({
+  const msg = await postGiveawayMessage(ctx.channel, {
     components: [container],
     flags: [MessageFlags.IsComponentsV2]
-  });
+  }, { name: prix, crosspost: settings.crosspost });
 
+  // Dans un forum, le giveaway vit dans son post : c'est lui qui sert de salon ensuite
   giveaway.messageId = msg.id;
+  giveaway.channelId = msg.channelId;
   saveGiveaway(giveaway);
-  auditLog(giveaway.guildId, 'GIVEAWAY_CREATE', organizer, null, { prix, gagnants, duration: duréeInput });
+  auditLog(giveaway.guildId, 'GIVEAWAY_CREATE', organizer, null, { prix, gagnants, duration: settings.durée, ...auditDetail });
 
   await postToLogChannel(giveaway.guildId, createLogContainer(
     '🎉 Giveaway Créé',
-    `**Prix :** ${sanitize(prix)}\n**Par :** <@${organizer}>\n**Durée :** ${duréeInput}`,
+    `**Prix :** ${sanitize(prix)}\n**Par :** <@${organizer}>\n**Durée :** ${formatDuration(duréeMs)}` +
+    (auditDetail.template ? `\n**Modèle :** ${sanitize(auditDetail.template, 64)}` : ''),
     COLORS.green
   ));
 
   startClassicCountdown(msg, giveaway);
+  return giveaway;
+}
+
+// ==================== ASSISTANT DE CRÉATION ====================
+
+function createWizardModal(sessionId, settings) {
+  const field = (id, label, style, required, maxLength, value, placeholder) => {
+    const input = new TextInputBuilder().setCustomId(id).setLabel(label).setStyle(style).setRequired(required).setMaxLength(maxLength);
+    if (value) input.setValue(String(value));
+    if (placeholder) input.setPlaceholder(placeholder);
+    return new ActionRowBuilder().addComponents(input);
+  };
+  return new ModalBuilder()
+    .setCustomId(`wizard:${sessionId}:details`)
+    .setTitle('🎉 Nouveau giveaway')
+    .addComponents(
+      field('prix', 'Prix', TextInputStyle.Short, true, MAX_PRIX_LENGTH, settings.prix),
+      field('gagnants', 'Nombre de gagnants (1-20)', TextInputStyle.Short, true, 2, settings.gagnants ?? 1),
+      field('durée', 'Durée ou date de fin', TextInputStyle.Short, true, 32, settings.durée, '45m, 2h30, 1w2d ou JJ/MM/AAAA HH:MM'),
+      field('commentaire', 'Commentaire', TextInputStyle.Paragraph, false, MAX_COMMENT_LENGTH, settings.commentaire),
+      field('image', 'URL image', TextInputStyle.Short, false, 300, settings.image)
+    );
+}
+
+// Aperçu éphémère : le giveaway tel qu'il sera publié, puis les réglages et les actions
+function renderWizard(sessionId, session, guild) {
+  const config   = getGuildConfig(guild.id);
+  const duration = resolveDuration(session.settings.durée, Date.now(), config);
+  const draft = {
+    messageId: '', channelId: session.channelId, guildId: guild.id,
+    ...session.settings, participants: [], startTime: Date.now(), endTime: Date.now() + duration, duration,
+    bonusRoles: { ...config.bonusRoles }, bonusMode: config.bonusMode, bonusCap: config.bonusCap,
+    requirements: {}, ticketRules: {}, tiers: []
+  };
+
+  const roleSelect = new RoleSelectMenuBuilder().setCustomId(`wizard:${sessionId}:role`)
+    .setPlaceholder('Rôle requis (facultatif)').setMinValues(0).setMaxValues(1);
+  if (session.settings.roleRequired) roleSelect.setDefaultRoles(session.settings.roleRequired);
+  const mentionSelect = new RoleSelectMenuBuilder().setCustomId(`wizard:${sessionId}:mention`)
+    .setPlaceholder('Rôle à mentionner (facultatif)').setMinValues(0).setMaxValues(1);
+  if (session.settings.roleMention) mentionSelect.setDefaultRoles(session.settings.roleMention);
+  const channelSelect = new ChannelSelectMenuBuilder().setCustomId(`wizard:${sessionId}:channel`)
+    .setPlaceholder('Salon de publication').setChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)
+    .setDefaultChannels(session.channelId);
+
+  return {
+    components: [
+      new TextDisplayBuilder().setContent(`### 👀 Aperçu — publication dans <#${session.channelId}>`),
+      createGiveawayContainer(draft, guild, { preview: true }),
+      new ActionRowBuilder().addComponents(roleSelect),
+      new ActionRowBuilder().addComponents(mentionSelect),
+      new ActionRowBuilder().addComponents(channelSelect),
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`wizard:${sessionId}:publish`).setLabel('Publier').setStyle(ButtonStyle.Success).setEmoji('🚀'),
+        new ButtonBuilder().setCustomId(`wizard:${sessionId}:edit`).setLabel('Modifier').setStyle(ButtonStyle.Secondary).setEmoji('✏️'),
+        new ButtonBuilder().setCustomId(`wizard:${sessionId}:cancel`).setLabel('Annuler').setStyle(ButtonStyle.Danger).setEmoji('✖️')
+      )
+    ],
+    flags: [MessageFlags.IsComponentsV2]
+  };
+}
+
+function closeWizard(sessionId, title, content, color) {
+  wizardSessions.del(sessionId);
+  return { components: [createInfoContainer(title, content, color)], flags: [MessageFlags.IsComponentsV2] };
+}
+
+// Session abandonnée : l'aperçu est remplacé pour que ses boutons ne restent pas actifs
+wizardSessions.on('expired', (sessionId, session) => {
+  if (!session.shown) return;
+  session.interaction.editReply({
+    components: [createInfoContainer('⌛ Session expirée', 'Relancez `/giveaway wizard` pour créer un giveaway.', COLORS.grey)],
+    flags: [MessageFlags.IsComponentsV2]
+  }).catch(() => {});
+});
+
+async function startWizard(interaction) {
+  const sessionId = interaction.id;
+  wizardSessions.set(sessionId, {
+    userId: interaction.user.id, channelId: interaction.channelId,
+    settings: { prix: '', gagnants: 1, durée: '', roleRequired: null, roleMention: null, commentaire: null, image: null },
+    shown: false, interaction
+  });
+  await interaction.showModal(createWizardModal(sessionId, {}));
+}
+
+async function handleWizardInteraction(interaction) {
+  const [, sessionId, action] = interaction.customId.split(':');
+  const session = wizardSessions.get(sessionId);
+  if (!session || session.userId !== interaction.user.id)
+    return interaction.reply({ content: '<:Erreur:1407372995176960132> Session expirée, relancez `/giveaway wizard`.', flags: [MessageFlags.Ephemeral] });
+
+  const { settings } = session;
+  const respond = async (payload) => {
+    // La première réponse crée l'aperçu, les suivantes le mettent à jour
+    if (session.shown) await interaction.update(payload);
+    else await interaction.reply({ ...payload, flags: [...payload.flags, MessageFlags.Ephemeral] });
+    session.shown = true;
+    session.interaction = interaction;
+    wizardSessions.set(sessionId, session);
+  };
+  // Une date de fin fixe a pu passer depuis la saisie : on invite à corriger plutôt qu'échouer
+  const rerender = () => {
+    let payload;
+    try { payload = renderWizard(sessionId, session, interaction.guild); }
+    catch (e) {
+      wizardSessions.set(sessionId, session);
+      return interaction.reply({ content: `<:Erreur:1407372995176960132> ${e.message} Cliquez sur « Modifier » pour corriger.`, flags: [MessageFlags.Ephemeral] });
+    }
+    return respond(payload);
+  };
+
+  switch (action) {
+    case 'details': {
+      const fields = interaction.fields;
+      const gagnants = Number(fields.getTextInputValue('gagnants'));
+      const image    = fields.getTextInputValue('image').trim();
+      const draft = {
+        prix:        sanitize(fields.getTextInputValue('prix'), MAX_PRIX_LENGTH),
+        gagnants,
+        durée:       fields.getTextInputValue('durée').trim(),
+        commentaire: sanitize(fields.getTextInputValue('commentaire'), MAX_COMMENT_LENGTH) || null,
+        image:       image || null
+      };
+      let error = null;
+      if (!draft.prix) error = 'Prix invalide.';
+      else if (!Number.isInteger(gagnants) || gagnants < 1 || gagnants > 20) error = 'Le nombre de gagnants doit être compris entre 1 et 20.';
+      else if (draft.image && !isValidImageUrl(draft.image)) error = 'URL d\'image invalide.';
+      else {
+        try { resolveDuration(draft.durée, Date.now(), getGuildConfig(interaction.guildId)); }
+        catch (e) { error = e.message; }
+      }
+      if (error) {
+        const retry = session.shown ? 'Cliquez sur « Modifier » pour corriger.' : 'Relancez `/giveaway wizard`.';
+        return interaction.reply({ content: `<:Erreur:1407372995176960132> ${error} ${retry}`, flags: [MessageFlags.Ephemeral] });
+      }
+      Object.assign(settings, draft);
+      return respond(renderWizard(sessionId, session, interaction.guild));
+    }
+    case 'role':
+    case 'mention':
+      settings[action === 'role' ? 'roleRequired' : 'roleMention'] = interaction.values[0] ?? null;
+      return rerender();
+    case 'channel':
+      if (interaction.values[0]) session.channelId = interaction.values[0];
+      return rerender();
+    case 'edit':
+      wizardSessions.set(sessionId, session);
+      return interaction.showModal(createWizardModal(sessionId, settings));
+    case 'cancel':
+      return interaction.update(closeWizard(sessionId, '✖️ Création annulée', 'Aucun giveaway n\'a été publié.', COLORS.grey));
+    case 'publish': {
+      // Session retirée avant la publication : un second clic pendant l'envoi ne publie pas un doublon.
+      // L'envoi peut dépasser les 3 s accordées par Discord : le clic est acquitté d'abord.
+      wizardSessions.del(sessionId);
+      await interaction.deferUpdate();
+      const channel = await clientInstance.channels.fetch(session.channelId).catch(() => null);
+      try {
+        if (!channel) throw new Error('Salon de publication introuvable.');
+        await launchGiveaway(publishContext(interaction, channel), settings, { wizard: true });
+      } catch (e) {
+        wizardSessions.set(sessionId, session);
+        return interaction.followUp({ content: `<:Erreur:1407372995176960132> ${e.message?.slice(0, 200) ?? 'Erreur inconnue'}`, flags: [MessageFlags.Ephemeral] });
+      }
+      return interaction.editReply(closeWizard(sessionId, '✅ Giveaway publié', `**${sanitize(settings.prix)}** est en ligne dans <#${channel.id}>.`, COLORS.green));
+    }
+    default:
+      return interaction.reply({ content: '<:Erreur:1407372995176960132> Action inconnue.', flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+async function handleClassicGiveaway(interaction) {
+  await launchGiveaway(publishContext(interaction), {
+    prix:         interaction.options.getString('prix'),
+    gagnants:     interaction.options.getInteger('gagnants'),
+    durée:        interaction.options.getString('durée'),
+    roleRequired: interaction.options.getRole('role_requis')?.id ?? null,
+    roleMention:  interaction.options.getRole('role_mention')?.id ?? null,
+    commentaire:  interaction.options.getString('commentaire'),
+    image:        interaction.options.getString('image'),
+    requirements: readRequirementOptions(interaction),
+    ticketRules:  readTicketRuleOptions(interaction),
+    tiers:        parseTiers(interaction.options.getString('paliers'), interaction.options.getInteger('gagnants')),
+    quiz:         parseQuiz(interaction.options.getString('question'), interaction.options.getString('reponses')),
+    crosspost:    interaction.options.getBoolean('crosspost') ?? false,
+  });
+}
+
+async function handleDropGiveaway(interaction) {
+  await launchGiveaway(publishContext(interaction), {
+    prix:         interaction.options.getString('prix'),
+    gagnants:     interaction.options.getInteger('gagnants'),
+    durée:        interaction.options.getString('durée'),
+    roleRequired: interaction.options.getRole('role_requis')?.id ?? null,
+    roleMention:  interaction.options.getRole('role_mention')?.id ?? null,
+    commentaire:  interaction.options.getString('commentaire'),
+    image:        interaction.options.getString('image'),
+    requirements: readRequirementOptions(interaction),
+    quiz:         parseQuiz(interaction.options.getString('question'), interaction.options.getString('reponses')),
+    crosspost:    interaction.options.getBoolean('crosspost') ?? false,
+  }, { mode: 'drop' }, { mode: 'drop' });
 }
 
 async function handleScheduledGiveaway(interaction) {
@@ -1179,27 +3093,23 @@ async function handleScheduledGiveaway(interaction) {
   const roleMention  = interaction.options.getRole('role_mention');
   const commentaire  = sanitize(interaction.options.getString('commentaire') ?? '', MAX_COMMENT_LENGTH);
   const organizer    = interaction.user.id;
+  const config       = getGuildConfig(interaction.guildId);
+  const requirements = readRequirementOptions(interaction);
+  const ticketRules  = readTicketRuleOptions(interaction);
+  const tiers        = parseTiers(interaction.options.getString('paliers'), gagnants);
+  const ctx          = publishContext(interaction);
 
-  const match = debutStr.match(/^(\d{2})\/(\d{2})\/(\d{4})\s+(\d{2}):(\d{2})$/);
-  if (!match) throw new Error('Format de date invalide. Utilisez JJ/MM/AAAA HH:MM (ex: 25/12/2025 18:00)');
+  if (!prix) throw new Error('Prix invalide.');
+  checkGiveawayCreation(ctx, { gagnants, tiers, roleRequired: roleReq?.id, roleMention: roleMention?.id, requirements }, config);
 
-  const [, day, month, year, hours, minutes] = match;
-  const scheduledDate = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
-  if (isNaN(scheduledDate.getTime())) throw new Error('Date invalide.');
-  if (scheduledDate.getTime() <= Date.now()) throw new Error('La date de début doit être dans le futur.');
-  if (scheduledDate.getTime() > Date.now() + 30 * 24 * 60 * 60 * 1000) throw new Error('Maximum 30 jours à l\'avance.');
+  const scheduledStart = parseDateInput(debutStr, config.timezone);
+  if (scheduledStart === null) throw new Error(`Format de date invalide. Utilisez JJ/MM/AAAA HH:MM (ex: 25/12/2025 18:00), heure de ${config.timezone}.`);
+  if (scheduledStart <= Date.now()) throw new Error('La date de début doit être dans le futur.');
+  if (scheduledStart > Date.now() + 30 * 24 * 60 * 60 * 1000) throw new Error('Maximum 30 jours à l\'avance.');
 
-  const duréeMap = {
-    '5m': 5*60*1000, '10m': 10*60*1000, '30m': 30*60*1000,
-    '1h': 3600*1000, '3h': 3*3600*1000, '5h': 5*3600*1000,
-    '1d': 86400*1000, '3d': 3*86400*1000, '5d': 5*86400*1000,
-    '1w': 7*86400*1000,
-  };
-
-  const duréeMs        = duréeMap[duréeInput];
-  const scheduledStart = scheduledDate.getTime();
+  const duréeMs = resolveDuration(duréeInput, scheduledStart, config);
   const giveaway = {
-    messageId: '', channelId: interaction.channelId, guildId: interaction.guildId,
+    messageId: '', channelId: ctx.channelId, guildId: interaction.guildId,
     prix, gagnants,
     endTime:      scheduledStart + duréeMs,
     startTime:    scheduledStart,
@@ -1208,223 +3118,1407 @@ async function handleScheduledGiveaway(interaction) {
     roleRequired: roleReq?.id ?? null,
     commentaire:  commentaire || null,
     image:        null, organizer,
-    bonusRoles:   {}, drawHash: null,
+    bonusRoles:   { ...config.bonusRoles }, drawHash: null,
+    bonusMode:    config.bonusMode, bonusCap: config.bonusCap,
     scheduledStart,
-    roleMention:  roleMention?.id ?? null
+    roleMention:  roleMention?.id ?? null,
+    requirements, ticketRules, tiers,
+    ...createSeedCommitment()
   };
 
-  const container = createScheduledContainer(giveaway, duréeInput, interaction.guild);
+  const container = createScheduledContainer(giveaway, formatDuration(duréeMs), interaction.guild);
 
-  const msg = await interaction.channel.send({
+  const msg = await postGiveawayMessage(ctx.channel, {
     components: [container],
     flags: [MessageFlags.IsComponentsV2]
-  });
+  }, { name: prix, crosspost: interaction.options.getBoolean('crosspost') ?? false });
 
   giveaway.messageId = msg.id;
+  giveaway.channelId = msg.channelId;
   saveGiveaway(giveaway);
   auditLog(giveaway.guildId, 'GIVEAWAY_SCHEDULED', organizer, null, { scheduledStart, duration: duréeInput });
 
-  const msUntilStart = scheduledStart - Date.now();
-  setTimeout(async () => {
-    const g = giveawaysCache.get(msg.id);
-    if (!g) return;
+  scheduleGiveawayStart(giveaway);
+}
 
-    const now       = Date.now();
-    g.startTime     = now;
-    g.endTime       = now + duréeMs;
-    g.scheduledStart = null;
-    saveGiveaway(g);
+async function handleForceEnd(interaction) {
+  const msgId  = interaction.options.getString('hash');
+  const target = findActiveGiveaway(interaction.guildId, msgId);
+  if (!target) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Giveaway introuvable.' });
+  if (interaction.user.id !== target.organizer && !interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild))
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permissions insuffisantes.' });
+
+  const message = await fetchGiveawayMessage(target);
+  if (!message) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Message introuvable.' });
+
+  target.endTime = Date.now() - 1;
+  giveawaysCache.set(target.messageId, target);
+  await endClassicGiveaway(message, target);
+  await interaction.editReply({ content: '<:Valider:1407373060784521287> Giveaway terminé manuellement.' });
+}
+
+// "+2h" / "-30m" décalent la fin actuelle, "3h" la place à maintenant + 3h, une date JJ/MM/AAAA HH:MM la fixe
+function resolveNewEnd(input, giveaway, config) {
+  const str      = String(input).trim();
+  const absolute = parseDateInput(str, config.timezone);
+  if (absolute !== null) return absolute;
+  const sign = str.startsWith('+') ? 1 : str.startsWith('-') ? -1 : 0;
+  const ms   = parseDuration(sign ? str.slice(1) : str);
+  if (ms === null) throw new Error('Fin invalide. Exemples : `+2h`, `-30m`, `3h` ou `JJ/MM/AAAA HH:MM`.');
+  return sign ? giveaway.endTime + sign * ms : Date.now() + ms;
+}
+
+async function handleEditGiveaway(interaction) {
+  const target = findActiveGiveaway(interaction.guildId, interaction.options.getString('hash'));
+  if (!target) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Giveaway introuvable.' });
+  if (interaction.user.id !== target.organizer && !interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild))
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permissions insuffisantes.' });
+  if (endingGiveaways.has(target.messageId))
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Ce giveaway est en cours de tirage.' });
+
+  const { options } = interaction;
+  const config  = getGuildConfig(interaction.guildId);
+  const changes = {};
+
+  const prix = options.getString('prix');
+  if (prix !== null) {
+    changes.prix = sanitize(prix, MAX_PRIX_LENGTH);
+    if (!changes.prix) throw new Error('Prix invalide.');
+  }
+  const gagnants = options.getInteger('gagnants');
+  if (gagnants !== null && target.mode === 'drop' && gagnants <= target.participants.length)
+    throw new Error(`${target.participants.length} lot(s) déjà remporté(s) : indiquez un nombre de gagnants supérieur.`);
+  if (gagnants !== null && target.tiers?.length && gagnants !== target.gagnants)
+    throw new Error('Ce giveaway a des paliers : son nombre de gagnants ne peut pas être modifié.');
+  if (gagnants !== null) changes.gagnants = gagnants;
+  const commentaire = options.getString('commentaire');
+  if (commentaire !== null) changes.commentaire = sanitize(commentaire, MAX_COMMENT_LENGTH) || null;
+  const image = options.getString('image');
+  if (image !== null) {
+    if (!isValidImageUrl(image)) throw new Error('URL d\'image invalide.');
+    changes.image = image;
+  }
+  const role = options.getRole('role_requis');
+  if (role && options.getBoolean('retirer_role')) throw new Error('Choisissez entre `role_requis` et `retirer_role`.');
+  if (role) changes.roleRequired = role.id;
+  if (options.getBoolean('retirer_role')) changes.roleRequired = null;
+
+  const fin = options.getString('fin');
+  if (fin !== null) {
+    const endTime = resolveNewEnd(fin, target, config);
+    // duration ne compte pas les pauses : on la décale du même écart que la fin
+    const duration = target.duration + (endTime - target.endTime);
+    if (endTime <= Date.now() || duration <= 0) throw new Error('La nouvelle fin doit être dans le futur et après le début du giveaway.');
+    if (duration < config.minDuration) throw new Error(`Durée minimale sur ce serveur : ${formatDuration(config.minDuration)}.`);
+    if (duration > config.maxDuration) throw new Error(`Durée maximale sur ce serveur : ${formatDuration(config.maxDuration)}.`);
+    changes.endTime  = endTime;
+    changes.duration = duration;
+  }
+
+  // Seuls les champs réellement modifiés sont appliqués et audités
+  const before = {}, after = {};
+  for (const [key, value] of Object.entries(changes)) {
+    if (target[key] === value) continue;
+    before[key] = target[key] ?? null;
+    after[key]  = value;
+  }
+  if (!Object.keys(after).length) return interaction.editReply({ content: '<:Attention:1407372958501965914> Aucune modification à appliquer.' });
+
+  const message = await fetchGiveawayMessage(target);
+  if (!message) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Message introuvable.' });
 
-    const channel = await clientInstance.channels.fetch(g.channelId).catch(() => null);
-    const liveContainer = createGiveawayContainer(g, channel?.guild);
+  Object.assign(target, after);
+  saveGiveaway(target);
 
-    await msg.edit({
-      components: [liveContainer],
+  if (target.scheduledStart) {
+    await message.edit({
+      components: [createScheduledContainer(target, formatDuration(target.duration), message.guild)],
       flags: [MessageFlags.IsComponentsV2]
     }).catch(() => {});
+  } else {
+    // Le rappel DM et la prochaine mise à jour dépendent de la fin : on les ré-arme
+    if ('endTime' in after) {
+      stmts.cancelJob.run(`dm_reminder:${target.messageId}`);
+      stmts.cancelJob.run(`giveaway_update:${target.messageId}`);
+    }
+    await startClassicCountdown(message, target);
+  }
+
+  auditLog(interaction.guildId, 'GIVEAWAY_EDIT', interaction.user.id, null, { messageId: target.messageId, before, after });
 
-    startClassicCountdown(msg, g);
-  }, msUntilStart);
+  const fieldNames = { prix: 'Prix', gagnants: 'Gagnants', commentaire: 'Commentaire', image: 'Image', roleRequired: 'Rôle requis', endTime: 'Fin' };
+  const describe = (key, value) => value === null ? '—'
+    : key === 'endTime' ? `<t:${toUnix(value)}:f>`
+    : key === 'roleRequired' ? `<@&${value}>`
+    : sanitize(String(value), 100);
+  const lines = Object.keys(after).filter(key => key in fieldNames)
+    .map(key => `**${fieldNames[key]} :** ${describe(key, before[key])} → ${describe(key, after[key])}`);
+
+  await postToLogChannel(interaction.guildId, createLogContainer(
+    '✏️ Giveaway Modifié',
+    `**Prix :** ${sanitize(target.prix)}\n**Par :** <@${interaction.user.id}>\n${lines.join('\n')}`,
+    COLORS.blue
+  ));
+  await interaction.editReply({ content: `<:Valider:1407373060784521287> Giveaway modifié :\n${lines.join('\n')}` });
 }
 
-async function handleForceEnd(interaction) {
-  const msgId = interaction.options.getString('hash');
-  let target = null;
+async function handlePauseGiveaway(interaction, pause) {
+  const target = findActiveGiveaway(interaction.guildId, interaction.options.getString('hash'));
+  if (!target) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Giveaway introuvable.' });
+  if (interaction.user.id !== target.organizer && !interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild))
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permissions insuffisantes.' });
+  if (target.scheduledStart)
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Ce giveaway n\'a pas encore commencé.' });
+  if (endingGiveaways.has(target.messageId))
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Ce giveaway est en cours de tirage.' });
+  if (pause === Boolean(target.pausedAt))
+    return interaction.editReply({ content: `<:Erreur:1407372995176960132> Ce giveaway ${pause ? 'est déjà' : 'n\'est pas'} en pause.` });
+
+  const message = await fetchGiveawayMessage(target);
+  if (!message) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Message introuvable.' });
+
+  const raison = sanitize(interaction.options.getString('raison') ?? '', 200);
+  let pausedFor = 0;
+  if (pause) {
+    target.pausedAt = Date.now();
+    for (const type of ['giveaway_end', 'giveaway_update', 'dm_reminder'])
+      stmts.cancelJob.run(`${type}:${target.messageId}`);
+  } else {
+    // Les participants récupèrent le temps passé en pause
+    pausedFor = Date.now() - target.pausedAt;
+    target.endTime += pausedFor;
+    target.pausedAt = null;
+  }
+  saveGiveaway(target);
+  await startClassicCountdown(message, target);
+
+  auditLog(interaction.guildId, pause ? 'GIVEAWAY_PAUSE' : 'GIVEAWAY_RESUME', interaction.user.id, null,
+    pause ? { messageId: target.messageId, raison: raison || null } : { messageId: target.messageId, pausedFor, endTime: target.endTime });
+
+  await postToLogChannel(interaction.guildId, createLogContainer(
+    pause ? '⏸️ Giveaway en Pause' : '▶️ Giveaway Repris',
+    `**Prix :** ${sanitize(target.prix)}\n**Par :** <@${interaction.user.id}>` +
+    (pause ? (raison ? `\n**Raison :** ${raison}` : '') : `\n**Pause :** ${formatDuration(pausedFor)}\n**Nouvelle fin :** <t:${toUnix(target.endTime)}:f>`),
+    pause ? COLORS.orange : COLORS.green
+  ));
+  await interaction.editReply({
+    content: pause
+      ? '<:Valider:1407373060784521287> Giveaway en pause : participations gelées jusqu\'à `/giveaway resume`.'
+      : `<:Valider:1407373060784521287> Giveaway repris, fin repoussée au <t:${toUnix(target.endTime)}:f>.`
+  });
+}
+
+async function handleReroll(interaction) {
+  const hash = interaction.options.getString('hash');
+  const row  = stmts.getHistoryByHash.get(hash.toUpperCase(), interaction.guildId);
+  if (!row) return interaction.editReply({ content: `<:Erreur:1407372995176960132> Historique introuvable.` });
+  if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageMessages) && interaction.user.id !== row.organizer)
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permissions insuffisantes.' });
+
+  // Un hash de reroll désigne le même giveaway : on part toujours de l'état le plus récent
+  const rootId  = row.parentId ?? row.id;
+  const chain   = stmts.historyChain.all(rootId, rootId);
+  const current = JSON.parse(chain[chain.length - 1].winners || '[]');
+  if (!current.length) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Aucun gagnant à remplacer.' });
+
+  const target = interaction.options.getUser('gagnant');
+  const count  = interaction.options.getInteger('nombre') ?? 1;
+  if (target && !current.includes(target.id))
+    return interaction.editReply({ content: `<:Erreur:1407372995176960132> <@${target.id}> n'est pas gagnant de ce giveaway.` });
+  if (!target && count > current.length)
+    return interaction.editReply({ content: `<:Erreur:1407372995176960132> Ce giveaway n'a que ${current.length} gagnant(s).` });
+
+  // Sans gagnant précisé, on remplace les derniers de la liste
+  const replaceIds = target ? [target.id] : current.slice(-count);
+  const { picks, replaced, drawHash } = await rerollGiveaway(interaction.guild, row, replaceIds, interaction.user.id);
+
+  const lines = replaced.map((uid, i) => picks[i] ? `• <@${uid}> → <@${picks[i]}>` : `• <@${uid}> reste gagnant — 🥺 aucun participant éligible`);
+  const container = createInfoContainer(
+    '🔄 Nouveau Tirage (Reroll) !',
+    `**🎁 Prix :** ${sanitize(row.prix)}\n\n` +
+    `${lines.join('\n')}\n\n` +
+    `**🔐 Nouveau hash :** \`${drawHash}\``,
+    picks.length ? COLORS.green : COLORS.orange
+  );
+
+  await interaction.editReply({
+    components: [container],
+    flags: [MessageFlags.IsComponentsV2]
+  });
+}
+
+async function handleList(interaction) {
+  const active = giveawaysCache.keys()
+    .map(k => giveawaysCache.get(k))
+    .filter(g => g?.guildId === interaction.guildId)
+    .sort((a, b) => a.endTime - b.endTime);
+
+  if (!active.length) return interaction.editReply({ content: '📭 Aucun giveaway actif.' });
+
+  const lines = active.map(g => {
+    const scheduled = g.scheduledStart && g.scheduledStart > Date.now() ? '📅 ' : g.pausedAt ? '⏸️ ' : '🔴 ';
+    const end       = g.pausedAt ? 'en pause' : `fin <t:${toUnix(g.endTime)}:R>`;
+    return `${scheduled}**${sanitize(g.prix, 60)}** — ${end} — ${g.participants.length} participants`;
+  });
+
+  const container = createInfoContainer(
+    `📋 Giveaways actifs (${active.length})`,
+    lines.join('\n').slice(0, 4000),
+    COLORS.blue
+  );
+
+  await interaction.editReply({
+    components: [container],
+    flags: [MessageFlags.IsComponentsV2]
+  });
+}
+
+async function handleInfo(interaction) {
+  const hash   = interaction.options.getString('hash');
+  const target = findActiveGiveaway(interaction.guildId, hash);
+
+  if (!target) {
+    const hist = stmts.getHistoryByHash.get(hash.toUpperCase(), interaction.guildId);
+    if (!hist) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Hash introuvable dans les giveaways actifs ou l\'historique.' });
+    // Les gagnants affichés sont ceux du dernier reroll éventuel
+    const rootId  = hist.parentId ?? hist.id;
+    const winners = JSON.parse(stmts.historyChain.all(rootId, rootId).at(-1).winners || '[]');
+    const claims  = stmts.listClaims.all(rootId);
+    const claimText = claims.length
+      ? `\n\n**📬 Réclamations :**\n${claims.map(c => `• <@${c.userId}> — ${formatClaimStatus(c)}`).join('\n')}`
+      : '';
+    const container = createInfoContainer(
+      '📜 Historique Giveaway',
+      `**🎁 Prix :** ${sanitize(hist.prix)}\n` +
+      `**👥 Participants :** ${hist.participants}\n` +
+      `**🏆 Gagnant(s) :** ${formatWinners(historyToGiveaway(hist), winners) || 'Aucun'}\n` +
+      `**👤 Organisateur :** <@${hist.organizer}>\n` +
+      `**📅 Terminé :** <t:${toUnix(hist.endedAt)}:f>` +
+      (hist.drawHash ? `\n**🔐 Hash :** \`${hist.drawHash}\`` : '') +
+      claimText,
+      COLORS.grey
+    );
+    return interaction.editReply({
+      components: [container],
+      flags: [MessageFlags.IsComponentsV2]
+    });
+  }
+
+  const container = target.scheduledStart
+    ? createScheduledContainer(target, formatDuration(target.duration), interaction.guild)
+    : createGiveawayContainer(target, interaction.guild);
+
+  await interaction.editReply({
+    components: [container],
+    flags: [MessageFlags.IsComponentsV2]
+  });
+}
+
+async function handleHistory(interaction) {
+  const rows = stmts.listHistory.all(interaction.guildId);
+  if (!rows.length) return interaction.editReply({ content: '📭 Aucun giveaway terminé.' });
+  const lines = rows.map(r => {
+    const w = JSON.parse(r.winners || '[]');
+    return `• ${r.parentId ? '🔄 ' : ''}**${sanitize(r.prix, 50)}** — ${r.participants} participants — ${w.length} gagnant(s) — <t:${toUnix(r.endedAt)}:d>${r.drawHash ? ` — \`${r.drawHash}\`` : ''}`;
+  });
+
+  const container = createInfoContainer(
+    '📜 Historique (10 derniers)',
+    lines.join('\n').slice(0, 4000),
+    COLORS.grey
+  );
+
+  await interaction.editReply({
+    components: [container],
+    flags: [MessageFlags.IsComponentsV2]
+  });
+}
+
+async function handleVerify(interaction) {
+  const input = interaction.options.getString('hash').trim();
+  const hist = stmts.getHistoryByHash.get(input.toUpperCase(), interaction.guildId);
+
+  if (!hist) {
+    return interaction.editReply({
+      content: `<:Erreur:1407372995176960132> Hash \`${sanitize(input, 64)}\` introuvable dans l'historique.\n` +
+        `> Utilisez \`/giveaway history\` pour voir les hash des giveaways récents.`
+    });
+  }
+
+  const winners      = JSON.parse(hist.winners         || '[]');
+  const participants = JSON.parse(hist.participantsList || '[]');
+  const recomputed   = hashDraw(participants, winners, hist.endedAt);
+  const match        = recomputed === hist.drawHash;
+
+  // Giveaways antérieurs au commit–reveal : seule l'intégrité de la ligne est vérifiable
+  if (!hist.seed) {
+    const container = createInfoContainer(
+      '🔐 Vérification du Tirage',
+      `**🎁 Prix :** ${sanitize(hist.prix)}\n` +
+      `**👥 Participants :** ${hist.participants}\n` +
+      `**🏆 Gagnant(s) :** ${formatWinners(historyToGiveaway(hist), winners) || 'Aucun'}\n\n` +
+      `**🔐 Hash enregistré :** \`${hist.drawHash ?? 'N/A'}\`\n` +
+      `**🔁 Hash recalculé :** \`${recomputed}\`\n\n` +
+      `**Résultat :** ${match ? '✅ Tirage authentique — les données n\'ont pas été modifiées' : '⚠️ Hash différent — les données ont peut-être été altérées'}\n` +
+      `*Tirage antérieur au système graine/engagement : il ne peut pas être rejoué.*`,
+      match ? COLORS.green : COLORS.crimson
+    );
+    return interaction.editReply({
+      components: [container],
+      flags: [MessageFlags.IsComponentsV2]
+    });
+  }
+
+  const pool     = JSON.parse(hist.pool || '[]');
+  const salt     = hist.drawSalt ?? 'draw';
+  // Reroll : le pool exclut tous les gagnants précédents, les gagnants présents dans le pool sont donc les tirés
+  const inPool   = new Set(pool.map(([uid]) => uid));
+  const drawn    = hist.parentId ? winners.filter(id => inPool.has(id)) : winners;
+  const root     = hist.parentId ? stmts.getHistoryById.get(hist.parentId) : null;
+  // Drop : pas de tirage, le pool est l'ordre des clics et les gagnants en sont le début ; la graine n'a servi à rien
+  const isDrop   = salt === 'drop';
+  const commitOk = isDrop || verifySeedCommitment(hist.seed, hist.seedCommit);
+  const replayed = isDrop ? pool.slice(0, drawn.length).map(([uid]) => uid) : drawWinners(hist.seed, pool, drawn.length, salt);
+  const replayOk = replayed.length === drawn.length && replayed.every((id, i) => id === drawn[i]);
+  const allOk    = match && commitOk && replayOk;
+  const tickets  = pool.reduce((n, [, t]) => n + t, 0);
+
+  const container = createInfoContainer(
+    '🔐 Vérification du Tirage',
+    `**🎁 Prix :** ${sanitize(hist.prix)}\n` +
+    `**👥 Participants :** ${hist.participants} (${tickets} tickets${root ? ' éligibles au reroll' : ''})\n` +
+    `**🏆 Gagnant(s) :** ${formatWinners(historyToGiveaway(hist), winners) || 'Aucun'}\n` +
+    (root ? `**🔄 Reroll** du tirage \`${root.drawHash ?? 'N/A'}\` — sel \`${salt}\`, ${drawn.length} gagnant(s) tiré(s)\n` : '') +
+    (isDrop ? '**⚡ Drop :** gagnants attribués aux premiers clics, sans tirage\n\n' :
+    `\n**🔏 Engagement publié :** \`${hist.seedCommit}\`\n` +
+    `**🔓 Graine révélée :** \`${hist.seed}\`\n\n` +
+    `${commitOk ? '✅' : '❌'} SHA-256(graine) correspond à l'engagement\n`) +
+    `${replayOk ? '✅' : '❌'} Tirage rejoué : ${replayOk ? (root ? 'mêmes remplaçants' : 'mêmes gagnants') : replayed.map(id => `<@${id}>`).join(', ') || 'aucun gagnant'}\n` +
+    `${match ? '✅' : '❌'} Hash \`${hist.drawHash ?? 'N/A'}\` ${match ? 'identique' : `≠ \`${recomputed}\``}\n\n` +
+    `**Résultat :** ${allOk ? '✅ Tirage équitable et authentique' : '⚠️ Vérification échouée — le tirage ou les données ont pu être altérés'}\n\n` +
+    (isDrop ? '*Le pool joint liste les gagnants dans l\'ordre des clics.*' :
+    `*Rejouer soi-même : pool trié par identifiant, pour chaque rang r un ticket = SHA-256(\`graine:${salt}:r:i\`) (12 premiers hex, rejet du biais) modulo le total des tickets restants, tirage sans remise. Le pool complet est joint.*`),
+    allOk ? COLORS.green : COLORS.crimson
+  );
+
+  const fileName = `tirage-${hist.drawHash}.json`;
+  container.addFileComponents(new FileBuilder().setURL(`attachment://${fileName}`));
+  const proof = isDrop ? { salt, pool, winners, drawn } : { seedCommit: hist.seedCommit, seed: hist.seed, salt, pool, winners, drawn };
+
+  await interaction.editReply({
+    components: [container],
+    files: [new AttachmentBuilder(Buffer.from(JSON.stringify(proof, null, 2)), { name: fileName })],
+    flags: [MessageFlags.IsComponentsV2]
+  });
+}
+
+function formatBlacklistRefusal(entry) {
+  return '<:Erreur:1407372995176960132> Vous êtes blacklisté des giveaways' +
+    (entry.expiresAt ? ` jusqu'au <t:${toUnix(entry.expiresAt)}:f>.` : '.') +
+    (entry.reason ? `\n> **Raison :** ${sanitize(entry.reason, 256)}` : '') +
+    '\n*Pour contester, contactez un modérateur du serveur.*';
+}
+
+// Une interdiction permanente annule l'échéance d'une interdiction temporaire antérieure
+function scheduleBlacklistExpiry(guildId, userId, expiresAt) {
+  const ref = `${guildId}:${userId}`;
+  if (expiresAt) enqueueJob('blacklist_expire', ref, expiresAt);
+  else { stmts.cancelJob.run(`blacklist_expire:${ref}`); armJobTimer(); }
+}
+
+// Retire un membre blacklisté des giveaways en cours ; les lots de drop déjà remportés restent acquis
+async function removeFromActiveGiveaways(guildId, userId) {
+  let removed = 0;
   for (const key of giveawaysCache.keys()) {
     const g = giveawaysCache.get(key);
-    if (g?.messageId === msgId && g?.guildId === interaction.guildId) { target = g; break; }
+    if (g?.guildId !== guildId || g.mode === 'drop' || endingGiveaways.has(g.messageId)) continue;
+    if (!g.participants.includes(userId)) continue;
+    g.participants = g.participants.filter(id => id !== userId);
+    saveGiveaway(g);
+    removed++;
+    const message = await fetchGiveawayMessage(g);
+    await message?.edit({
+      components: [createGiveawayContainer(g, message.guild)],
+      flags: [MessageFlags.IsComponentsV2]
+    }).catch(() => {});
   }
-  if (!target) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Giveaway introuvable.' });
-  if (interaction.user.id !== target.organizer && !interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild))
+  return removed;
+}
+
+function renderBlacklistPage(guildId, page) {
+  const total      = stmts.countBlacklist.get(guildId, Date.now()).cnt;
+  const totalPages = Math.max(1, Math.ceil(total / BLACKLIST_PAGE));
+  page = Math.min(Math.max(0, page), totalPages - 1);
+  const rows = stmts.pageBlacklist.all(guildId, Date.now(), BLACKLIST_PAGE, page * BLACKLIST_PAGE);
+  const lines = rows.map(r =>
+    `• <@${r.userId}> — par <@${r.addedBy}> <t:${toUnix(r.addedAt)}:d>` +
+    (r.expiresAt ? ` — ⏳ fin <t:${toUnix(r.expiresAt)}:R>` : ' — permanent') +
+    (r.reason ? `\n  *${sanitize(r.reason, 120)}*` : ''));
+
+  const container = createInfoContainer(
+    `🚫 Blacklist (page ${page + 1}/${totalPages})`,
+    lines.join('\n').slice(0, 4000) || 'Aucun membre blacklisté.',
+    COLORS.crimson
+  );
+  if (totalPages > 1) {
+    container.addSeparatorComponents(
+      new SeparatorBuilder().setSpacing(SeparatorSpacingSize.Small).setDivider(false)
+    );
+    container.addActionRowComponents(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`blacklist_page:${page - 1}`)
+        .setLabel('◀ Précédent').setStyle(ButtonStyle.Secondary)
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId(`blacklist_page:${page + 1}`)
+        .setLabel('Suivant ▶').setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= totalPages - 1)
+    ));
+  }
+  return { components: [container], flags: [MessageFlags.IsComponentsV2] };
+}
+
+async function handleBlacklist(interaction) {
+  const sub = interaction.options.getSubcommand();
+  if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageMessages))
     return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permissions insuffisantes.' });
 
-  const channel = await clientInstance.channels.fetch(target.channelId).catch(() => null);
-  const message = channel ? await channel.messages.fetch(target.messageId).catch(() => null) : null;
-  if (!channel || !message) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Message introuvable.' });
+  if (sub === 'list') return interaction.editReply(renderBlacklistPage(interaction.guildId, 0));
+
+  const user = interaction.options.getUser('utilisateur');
+  if (sub === 'add') {
+    const reason     = sanitize(interaction.options.getString('raison') ?? '', 256);
+    const duréeInput = interaction.options.getString('durée');
+    const duration   = duréeInput ? parseDuration(duréeInput) : null;
+    if (duréeInput && (duration === null || duration < MIN_DURATION || duration > BLACKLIST_MAX))
+      throw new Error(`Durée invalide (entre ${formatDuration(MIN_DURATION)} et ${formatDuration(BLACKLIST_MAX)}). Exemples : \`12h\`, \`7d\`, \`2w\`.`);
+    const expiresAt = duration ? Date.now() + duration : null;
+
+    stmts.addBlacklist.run(user.id, interaction.guildId, interaction.user.id, reason, Date.now(), expiresAt);
+    scheduleBlacklistExpiry(interaction.guildId, user.id, expiresAt);
+    const removed = await removeFromActiveGiveaways(interaction.guildId, user.id);
+    auditLog(interaction.guildId, 'BLACKLIST_ADD', interaction.user.id, user.id, { reason, expiresAt, removedFrom: removed });
+    await interaction.editReply({ content: `<:Valider:1407373060784521287> <@${user.id}> blacklisté` +
+      (expiresAt ? ` jusqu'au <t:${toUnix(expiresAt)}:f>.` : '.') +
+      (removed ? ` Retiré de ${removed} giveaway(s) en cours.` : '') });
+  } else {
+    if (!stmts.removeBlacklist.run(user.id, interaction.guildId).changes)
+      return interaction.editReply({ content: `<:Erreur:1407372995176960132> <@${user.id}> n'est pas blacklisté.` });
+    scheduleBlacklistExpiry(interaction.guildId, user.id, null);
+    auditLog(interaction.guildId, 'BLACKLIST_REMOVE', interaction.user.id, user.id);
+    await interaction.editReply({ content: `<:Valider:1407373060784521287> <@${user.id}> retiré de la blacklist.` });
+  }
+}
+
+// ==================== EXPORT ====================
+
+// RFC 4180, avec BOM pour Excel ; les cellules commençant par = + - @ sont neutralisées (injection de formules)
+function toCsv(columns, rows) {
+  const cell = (value) => {
+    let s = value === null || value === undefined ? '' : Array.isArray(value) ? value.join(' ') : String(value);
+    if (/^[=+\-@]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return '\uFEFF' + [columns.join(','), ...rows.map(r => columns.map(c => cell(r[c])).join(','))].join('\r\n');
+}
+
+// Noms d'utilisateur par lots de 100 (limite de la gateway) ; les anciens membres viennent du cache client
+async function resolveUsernames(guild, ids) {
+  const names  = new Map();
+  const unique = [...new Set(ids.filter(Boolean))];
+  for (let i = 0; i < unique.length; i += 100) {
+    const members = await guild.members.fetch({ user: unique.slice(i, i + 100) }).catch(() => null);
+    members?.forEach(m => names.set(m.id, m.user.username));
+  }
+  for (const id of unique) if (!names.has(id)) names.set(id, clientInstance.users.cache.get(id)?.username ?? '');
+  return names;
+}
+
+// "JJ/MM/AAAA" (début ou fin de journée) ou "JJ/MM/AAAA HH:MM" dans le fuseau du serveur
+function parseExportDate(input, timeZone, endOfDay) {
+  const dateOnly = !/\d{2}:\d{2}$/.test(input.trim());
+  const ts = parseDateInput(dateOnly ? `${input.trim()} ${endOfDay ? '23:59' : '00:00'}` : input, timeZone);
+  if (ts === null) throw new Error(`Date invalide : \`${sanitize(input, 32)}\`. Format attendu : JJ/MM/AAAA ou JJ/MM/AAAA HH:MM.`);
+  return dateOnly && endOfDay ? ts + 59999 : ts;
+}
+
+// Participants d'un giveaway actif ou archivé, avec tickets, rang et palier des gagnants
+function collectGiveawayParticipants(guild, ref) {
+  const active = findActiveGiveaway(guild.id, ref);
+  if (active) {
+    const pool = active.mode === 'drop'
+      ? active.participants.map(uid => [uid, 1])
+      : buildDrawPool(active.participants, guild.members.cache, active.bonusRoles ?? {}, getBonusOptions(active),
+        uid => getActivityTickets(active, uid), getFraudSuspects(active));
+    const winners = active.mode === 'drop' ? active.participants.slice(0, active.gagnants) : [];
+    return { giveaway: active, participants: active.participants, tickets: new Map(pool), winners, claims: [], name: active.messageId };
+  }
+  const hist = stmts.getHistoryByHash.get(ref.toUpperCase(), guild.id);
+  if (!hist) throw new Error('Hash introuvable dans les giveaways actifs ou l\'historique.');
+  // Tickets du tirage d'origine, gagnants du dernier reroll éventuel
+  const rootId = hist.parentId ?? hist.id;
+  const chain  = stmts.historyChain.all(rootId, rootId);
+  const root   = chain[0];
+  return {
+    giveaway:     historyToGiveaway(root),
+    participants: JSON.parse(root.participantsList || '[]'),
+    tickets:      new Map(root.pool ? JSON.parse(root.pool) : []),
+    winners:      JSON.parse(chain.at(-1).winners || '[]'),
+    claims:       stmts.listClaims.all(rootId),
+    name:         root.drawHash ?? String(root.id)
+  };
+}
+
+async function buildExport(interaction, type) {
+  const { guild, guildId } = interaction;
+  const iso = (ts) => ts ? new Date(ts).toISOString() : '';
+
+  switch (type) {
+    case 'history': {
+      const config = getGuildConfig(guildId);
+      const du = interaction.options.getString('du');
+      const au = interaction.options.getString('au');
+      const from = du ? parseExportDate(du, config.timezone, false) : 0;
+      const to   = au ? parseExportDate(au, config.timezone, true) : Date.now();
+      if (from > to) throw new Error('La date de début doit précéder la date de fin.');
+      const rows  = stmts.historyRange.all(guildId, from, to);
+      const names = await resolveUsernames(guild, rows.flatMap(r => [r.organizer, ...JSON.parse(r.winners || '[]')]));
+      return {
+        name: 'historique',
+        columns: ['id', 'endedAt', 'prix', 'organizerId', 'organizer', 'participants', 'winnerIds', 'winners', 'drawHash', 'rerollOf', 'seriesId', 'channelId', 'messageId'],
+        rows: rows.map(r => {
+          const winners = JSON.parse(r.winners || '[]');
+          return {
+            id: r.id, endedAt: iso(r.endedAt), prix: r.prix, organizerId: r.organizer, organizer: names.get(r.organizer),
+            participants: r.participants, winnerIds: winners, winners: winners.map(id => names.get(id)),
+            drawHash: r.drawHash, rerollOf: r.parentId, seriesId: r.seriesId, channelId: r.channelId, messageId: r.messageId
+          };
+        }),
+        summary: `${du || au ? `du ${du ?? 'début'} au ${au ?? 'aujourd\'hui'}` : 'tout l\'historique'}`
+      };
+    }
+    case 'participants': {
+      const ref = interaction.options.getString('hash')?.trim();
+      if (!ref) throw new Error('Indiquez le giveaway à exporter avec l\'option `hash`.');
+      const data   = collectGiveawayParticipants(guild, ref);
+      const names  = await resolveUsernames(guild, data.participants);
+      const claims = new Map(data.claims.map(c => [c.userId, c.status]));
+      // Palier de chaque rang gagnant, dans l'ordre d'attribution
+      const tierOf = (data.giveaway.tiers ?? []).flatMap(t => Array(t.count).fill(t.label));
+      return {
+        name: `participants-${data.name}`,
+        columns: ['userId', 'username', 'tickets', 'winner', 'rank', 'tier', 'claim'],
+        rows: data.participants.map(uid => {
+          const rank = data.winners.indexOf(uid);
+          return {
+            userId: uid, username: names.get(uid), tickets: data.tickets.get(uid) ?? '',
+            winner: rank >= 0, rank: rank >= 0 ? rank + 1 : '', tier: rank >= 0 ? tierOf[rank] ?? '' : '', claim: claims.get(uid) ?? ''
+          };
+        }),
+        summary: `**${sanitize(data.giveaway.prix, 80)}**`
+      };
+    }
+    case 'stats': {
+      const rows  = stmts.allStats.all(guildId);
+      const names = await resolveUsernames(guild, rows.map(r => r.userId));
+      return {
+        name: 'statistiques',
+        columns: ['userId', 'username', 'participations', 'wins', 'lastUpdated'],
+        rows: rows.map(r => ({ userId: r.userId, username: names.get(r.userId), participations: r.participations, wins: r.wins, lastUpdated: iso(r.lastUpdated) })),
+        summary: 'statistiques des membres'
+      };
+    }
+    case 'blacklist': {
+      const rows  = stmts.listBlacklist.all(guildId);
+      const names = await resolveUsernames(guild, rows.flatMap(r => [r.userId, r.addedBy]));
+      return {
+        name: 'blacklist',
+        columns: ['userId', 'username', 'reason', 'addedById', 'addedBy', 'addedAt', 'expiresAt'],
+        rows: rows.map(r => ({
+          userId: r.userId, username: names.get(r.userId), reason: r.reason, addedById: r.addedBy, addedBy: names.get(r.addedBy),
+          addedAt: iso(r.addedAt), expiresAt: iso(r.expiresAt)
+        })),
+        summary: 'blacklist'
+      };
+    }
+    default:
+      throw new Error('Type d\'export inconnu.');
+  }
+}
+
+async function handleExport(interaction) {
+  const type   = interaction.options.getString('type');
+  const format = interaction.options.getString('format') ?? 'csv';
+  const data   = await buildExport(interaction, type);
+  if (!data.rows.length) return interaction.editReply({ content: '📭 Aucune donnée à exporter.' });
+
+  let buffer = Buffer.from(format === 'json' ? JSON.stringify(data.rows, null, 2) : toCsv(data.columns, data.rows));
+  let fileName = `${data.name}.${format}`;
+  if (buffer.length > EXPORT_MAX_BYTES) {
+    buffer = gzipSync(buffer);
+    fileName += '.gz';
+  }
+  if (buffer.length > EXPORT_MAX_BYTES)
+    throw new Error('Export trop volumineux, même compressé : réduisez la période avec `du` et `au`.');
+
+  auditLog(interaction.guildId, 'EXPORT', interaction.user.id, null, { type, format, rows: data.rows.length });
+
+  const container = createInfoContainer(
+    '📤 Export',
+    `**Contenu :** ${data.summary}\n**Lignes :** ${data.rows.length}\n**Fichier :** \`${fileName}\`` +
+    (fileName.endsWith('.gz') ? '\n*Fichier volumineux : compressé en gzip.*' : ''),
+    COLORS.blue
+  );
+  container.addFileComponents(new FileBuilder().setURL(`attachment://${fileName}`));
+
+  await interaction.editReply({
+    components: [container],
+    files: [new AttachmentBuilder(buffer, { name: fileName })],
+    flags: [MessageFlags.IsComponentsV2]
+  });
+}
+
+// ==================== JOURNAL D'AUDIT ====================
+
+function formatAuditEntry(entry, guild) {
+  const target = entry.targetId ? ` → ${guild.roles.cache.has(entry.targetId) ? `<@&${entry.targetId}>` : `<@${entry.targetId}>`}` : '';
+  const detail = entry.detail ? `\n  \`${sanitize(entry.detail, 160).replace(/`/g, "'")}\`` : '';
+  return `• <t:${toUnix(entry.createdAt)}:f> **${entry.action}** — <@${entry.actorId}>${target}${detail}`;
+}
+
+// Les filtres restent en cache le temps de la pagination : ils ne tiennent pas dans un customId
+function renderAuditPage(guild, queryId, query, page) {
+  const total      = stmts.auditCount.get(query.filters).cnt;
+  const totalPages = Math.max(1, Math.ceil(total / AUDIT_PAGE));
+  page = Math.min(Math.max(0, page), totalPages - 1);
+  const entries = stmts.auditPage.all({ ...query.filters, limit: AUDIT_PAGE, offset: page * AUDIT_PAGE });
+
+  const container = createInfoContainer(
+    `🗒️ Journal d'audit (page ${page + 1}/${totalPages})`,
+    `${query.summary} — ${total} entrée(s)\n\n` +
+    (entries.map(e => formatAuditEntry(e, guild)).join('\n') || 'Aucune entrée ne correspond à ces filtres.').slice(0, 3800),
+    COLORS.grey
+  );
+
+  if (totalPages > 1) {
+    container.addSeparatorComponents(
+      new SeparatorBuilder().setSpacing(SeparatorSpacingSize.Small).setDivider(false)
+    );
+    container.addActionRowComponents(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`audit:${queryId}:${page - 1}`)
+        .setLabel('◀ Précédent').setStyle(ButtonStyle.Secondary)
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId(`audit:${queryId}:${page + 1}`)
+        .setLabel('Suivant ▶').setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= totalPages - 1)
+    ));
+  }
+
+  return { components: [container], flags: [MessageFlags.IsComponentsV2] };
+}
+
+async function handleAudit(interaction) {
+  if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild))
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permission ManageGuild requise.' });
+
+  const config = getGuildConfig(interaction.guildId);
+  const action = interaction.options.getString('action')?.trim().toUpperCase().replace(/\s+/g, '_') || null;
+  const actor  = interaction.options.getUser('acteur');
+  const target = interaction.options.getMentionable('cible');
+  const du     = interaction.options.getString('du');
+  const au     = interaction.options.getString('au');
+  const from   = du ? parseExportDate(du, config.timezone, false) : 0;
+  const to     = au ? parseExportDate(au, config.timezone, true) : Date.now();
+  if (from > to) throw new Error('La date de début doit précéder la date de fin.');
+
+  // Action : préfixe, « BLACKLIST » couvre BLACKLIST_ADD et BLACKLIST_REMOVE
+  const filters = { guildId: interaction.guildId, action: action ? `${action}%` : null, actorId: actor?.id ?? null, targetId: target?.id ?? null, from, to };
+  const summary = [
+    action && `Action \`${sanitize(action, 32)}…\``,
+    actor && `par <@${actor.id}>`,
+    target && `cible ${interaction.guild.roles.cache.has(target.id) ? `<@&${target.id}>` : `<@${target.id}>`}`,
+    (du || au) && `du ${du ?? 'début'} au ${au ?? 'aujourd\'hui'}`
+  ].filter(Boolean).join(', ') || 'Toutes les entrées';
+
+  const queryId = interaction.id;
+  const query   = { userId: interaction.user.id, filters, summary };
+  auditQueries.set(queryId, query);
+  await interaction.editReply(renderAuditPage(interaction.guild, queryId, query, 0));
+}
+
+// ==================== SAUVEGARDE ====================
+
+// Archive d'un serveur : lignes brutes des tables, giveaways actifs tels qu'en cache.
+// La graine secrète n'en sort jamais : elle permettrait de calculer les gagnants avant le tirage.
+function buildGuildBackup(guildId) {
+  const config = stmts.getGuildConfig.get(guildId) ? getGuildConfig(guildId) : null;
+  return {
+    format:    BACKUP_FORMAT,
+    version:   BACKUP_VERSION,
+    guildId,
+    createdAt: Date.now(),
+    config,
+    blacklist: stmts.listBlacklist.all(guildId),
+    stats:     stmts.allStats.all(guildId),
+    templates: stmts.listTemplates.all(guildId).map(t => ({ ...t, settings: JSON.parse(t.settings) })),
+    history:   stmts.historyAll.all(guildId),
+    claims:    stmts.guildClaims.all(guildId),
+    giveaways: giveawaysCache.keys().map(k => giveawaysCache.get(k)).filter(g => g?.guildId === guildId)
+      .map(({ drawSeed, ...g }) => g)
+  };
+}
+
+const isId      = (v) => typeof v === 'string' && /^\w{1,32}$/.test(v);
+const isTime    = (v) => Number.isFinite(v) && v >= 0;
+const isJsonOf  = (v, check) => { try { return check(JSON.parse(v)); } catch { return false; } };
+
+// Une ligne invalide est ignorée, pas l'archive entière
+const BACKUP_VALIDATORS = {
+  blacklist: (r) => isId(r.userId) && isId(r.addedBy) && isTime(r.addedAt) && (r.expiresAt == null || isTime(r.expiresAt)),
+  stats:     (r) => isId(r.userId) && Number.isInteger(r.participations) && Number.isInteger(r.wins) && r.participations >= 0 && r.wins >= 0,
+  templates: (r) => typeof r.name === 'string' && r.name.length <= 32 && typeof r.settings?.prix === 'string' && Number.isInteger(r.settings?.gagnants),
+  history:   (r) => Number.isInteger(r.id) && typeof r.prix === 'string' && isId(r.organizer) && isTime(r.endedAt)
+    && isJsonOf(r.winners, Array.isArray) && isJsonOf(r.participantsList ?? '[]', Array.isArray),
+  claims:    (r) => Number.isInteger(r.historyId) && isId(r.userId) && ['pending', 'claimed', 'expired', 'replaced'].includes(r.status),
+  giveaways: (r) => isId(r.messageId) && isId(r.channelId) && typeof r.prix === 'string' && Number.isInteger(r.gagnants)
+    && isTime(r.endTime) && Array.isArray(r.participants) && isId(r.organizer)
+};
+
+const REVIEW_STATES = ['pending', 'held', 'approved', 'rejected'];
+const isCount = (v, max) => Number.isInteger(v) && v >= 1 && v <= max;
+const isSpan  = (v, max) => isTime(v) && v <= max;
+const isFlag  = (v) => v === 0 || v === 1;
+
+// Réglages d'une archive : mêmes bornes que /giveaway setup
+const BACKUP_CONFIG_FIELDS = {
+  maxConcurrent:     (v) => isCount(v, 20),
+  dmReminder:        isFlag,
+  bonusMode:         (v) => ['max', 'stack'].includes(v),
+  bonusCap:          (v) => isCount(v, MAX_BONUS_TICKETS),
+  minDuration:       (v) => isSpan(v, DURATION_HARD_MAX) && v >= MIN_DURATION,
+  maxDuration:       (v) => isSpan(v, DURATION_HARD_MAX) && v >= MIN_DURATION,
+  timezone:          (v) => typeof v === 'string' && isValidTimezone(v),
+  claimDeadline:     (v) => v === null || (isSpan(v, CLAIM_DEADLINE_MAX) && v >= MIN_DURATION),
+  activityMinLength: (v) => Number.isInteger(v) && v >= 0 && v <= 200,
+  activityPerMinute: (v) => isCount(v, 60),
+  inviteMinStay:     (v) => isSpan(v, MAX_DURATION),
+  auditRetention:    (v) => v === 0 || (isSpan(v, AUDIT_RETENTION_MAX) && v >= 24 * 60 * 60 * 1000),
+  fraudMode:         (v) => ['off', 'flag', 'reject'].includes(v),
+  fraudMinAge:       (v) => isSpan(v, MAX_REQUIRED_AGE),
+  fraudAvatar:       isFlag,
+  fraudBurst:        (v) => Number.isInteger(v) && v >= 0 && v <= 100,
+  fraudDraw:         (v) => ['exclude', 'reduce'].includes(v),
+};
+
+/**
+ * Configuration d'une archive → réglages du serveur, construits champ par champ sur la config actuelle :
+ * un champ absent ou refusé (signalé à onInvalid) garde sa valeur. Salons et rôles passent par keepChannel / keepRole.
+ */
+function sanitizeBackupConfig(c, current, { keepChannel, keepRole, onInvalid }) {
+  const config = { ...current };
+  for (const [field, valid] of Object.entries(BACKUP_CONFIG_FIELDS)) {
+    if (c[field] === undefined) continue;
+    if (valid(c[field])) config[field] = c[field];
+    else onInvalid(field);
+  }
+  if (config.minDuration > config.maxDuration) {
+    config.minDuration = current.minDuration;
+    config.maxDuration = current.maxDuration;
+    onInvalid('minDuration');
+  }
+
+  for (const [field, keep] of [['allowedChannels', keepChannel], ['activityChannels', keepChannel], ['allowedRoles', keepRole]]) {
+    if (c[field] === undefined) continue;
+    if (Array.isArray(c[field])) config[field] = c[field].filter(id => isId(id) && keep(id));
+    else onInvalid(field);
+  }
+  if (c.logChannelId !== undefined) config.logChannelId = isId(c.logChannelId) && keepChannel(c.logChannelId) ? c.logChannelId : null;
+  if (c.bonusRoles !== undefined) {
+    if (c.bonusRoles && typeof c.bonusRoles === 'object' && !Array.isArray(c.bonusRoles))
+      config.bonusRoles = Object.fromEntries(Object.entries(c.bonusRoles).filter(([id, t]) => isId(id) && isCount(t, MAX_BONUS_TICKETS) && keepRole(id)));
+    else onInvalid('bonusRoles');
+  }
+  return config;
+}
+
+/**
+ * Giveaway actif d'une archive → giveaway prêt à reprendre, construit champ par champ :
+ * rien d'autre que ces champs n'entre dans le cache. Les rôles absents passent par keepRole.
+ * Retourne null si un champ essentiel est invalide. La graine est fournie par l'appelant.
+ */
+function sanitizeBackupGiveaway(r, keepRole) {
+  const prix  = sanitize(r.prix, MAX_PRIX_LENGTH);
+  const start = isTime(r.startTime) ? r.startTime : null;
+  if (!prix || !isCount(r.gagnants, 20) || !isId(r.organizer)) return null;
+  if (r.scheduledStart != null && !isTime(r.scheduledStart)) return null;
+  if (r.pausedAt != null && !isTime(r.pausedAt)) return null;
+  const duration = isSpan(r.duration, DURATION_HARD_MAX) && r.duration >= MIN_DURATION ? r.duration
+    : start && r.endTime > start ? r.endTime - start : null;
+  if (!duration) return null;
+
+  let quiz = null;
+  if (r.quiz != null) {
+    if (typeof r.quiz.question !== 'string' || !Array.isArray(r.quiz.answers) || !r.quiz.answers.every(a => typeof a === 'string')) return null;
+    try { quiz = parseQuiz(r.quiz.question, r.quiz.answers.join('|')); } catch { return null; }
+  }
+
+  const tiers = Array.isArray(r.tiers) && r.tiers.length <= MAX_TIERS
+    && r.tiers.every(t => typeof t?.label === 'string' && isCount(t.count, 20))
+    ? r.tiers.map(t => ({ label: sanitize(t.label, 80), count: t.count })) : [];
+
+  const req = r.requirements ?? {};
+  const roles = (list) => Array.isArray(list) ? [...new Set(list.filter(isId))].filter(keepRole).slice(0, MAX_REQUIRED_ROLES) : [];
+  const requirements = Object.fromEntries(Object.entries({
+    anyRoles:       roles(req.anyRoles),
+    allRoles:       roles(req.allRoles),
+    excludedRoles:  roles(req.excludedRoles),
+    minAccountAge:  isSpan(req.minAccountAge, MAX_REQUIRED_AGE) ? req.minAccountAge : null,
+    minMemberAge:   isSpan(req.minMemberAge, MAX_REQUIRED_AGE) ? req.minMemberAge : null,
+    boosterOnly:    req.boosterOnly === true,
+    minMessages:    isCount(req.minMessages, 10000) ? req.minMessages : null,
+    messagesWindow: isSpan(req.messagesWindow, ACTIVITY_RETENTION) ? req.messagesWindow : null,
+    minInvites:     isCount(req.minInvites, 1000) ? req.minInvites : null,
+  }).filter(([, v]) => Array.isArray(v) ? v.length : v));
+
+  const rules = r.ticketRules ?? {};
+  const ticketRules = Object.fromEntries(Object.entries({
+    perMessages: isCount(rules.perMessages, 10000) ? rules.perMessages : null,
+    perInvites:  isCount(rules.perInvites, 1000) ? rules.perInvites : null,
+  }).filter(([, v]) => v));
+
+  const entries = (obj) => obj && typeof obj === 'object' && !Array.isArray(obj) ? Object.entries(obj) : [];
+  const optionalRole = (id) => isId(id) && keepRole(id) ? id : null;
+
+  return {
+    messageId:      r.messageId,
+    channelId:      r.channelId,
+    prix,
+    gagnants:       r.gagnants,
+    endTime:        r.endTime,
+    startTime:      start ?? r.endTime - duration,
+    duration,
+    participants:   [...new Set(r.participants.filter(isId))],
+    roleRequired:   optionalRole(r.roleRequired),
+    roleMention:    optionalRole(r.roleMention),
+    commentaire:    typeof r.commentaire === 'string' ? sanitize(r.commentaire, MAX_COMMENT_LENGTH) || null : null,
+    image:          typeof r.image === 'string' && isValidImageUrl(r.image) ? r.image : null,
+    organizer:      r.organizer,
+    bonusRoles:     Object.fromEntries(entries(r.bonusRoles).filter(([id, t]) => isId(id) && isCount(t, MAX_BONUS_TICKETS) && keepRole(id))),
+    bonusMode:      ['max', 'stack'].includes(r.bonusMode) ? r.bonusMode : null,
+    bonusCap:       isCount(r.bonusCap, MAX_BONUS_TICKETS) ? r.bonusCap : null,
+    drawHash:       null,
+    scheduledStart: r.scheduledStart ?? null,
+    pausedAt:       r.pausedAt ?? null,
+    mode:           r.mode === 'drop' ? 'drop' : null,
+    requirements,
+    ticketRules,
+    tiers:          tiers.reduce((n, t) => n + t.count, 0) === r.gagnants ? tiers : [],
+    quiz,
+    review:         Object.fromEntries(entries(r.review).filter(([id, s]) => isId(id) && REVIEW_STATES.includes(s))),
+    restoredFrom:   isId(r.restoredFrom) ? r.restoredFrom : null,
+  };
+}
+
+function parseBackup(buffer) {
+  let archive;
+  try {
+    // Archive compressée par /giveaway backup quand elle dépasse la limite d'envoi
+    const raw = buffer[0] === 0x1f && buffer[1] === 0x8b ? gunzipSync(buffer) : buffer;
+    archive = JSON.parse(raw.toString('utf8'));
+  } catch { throw new Error('Fichier illisible : une archive JSON de `/giveaway backup` est attendue.'); }
+  if (archive?.format !== BACKUP_FORMAT) throw new Error('Ce fichier n\'est pas une archive de giveaways.');
+  if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION)
+    throw new Error(`Archive en version ${archive.version}, non prise en charge (version ${BACKUP_VERSION} maximum).`);
+  for (const section of Object.keys(BACKUP_VALIDATORS))
+    if (!Array.isArray(archive[section] ?? [])) throw new Error(`Section \`${section}\` corrompue.`);
+  if (archive.config != null && (typeof archive.config !== 'object' || Array.isArray(archive.config)))
+    throw new Error('Section `config` corrompue.');
+  return archive;
+}
+
+/**
+ * Importe une archive dans un serveur. replace : les lignes de l'archive écrasent l'existant,
+ * sinon l'existant est conservé ; l'historique n'est jamais écrasé. Sans apply, rien n'est écrit
+ * et seul le bilan est calculé. Retourne { sections, dropped, giveaways }.
+ */
+async function restoreGuildBackup(guild, archive, { replace, apply, fallbackChannel }) {
+  const guildId  = guild.id;
+  const sections = {};
+  const count = (name, outcome) => {
+    sections[name] ??= { added: 0, replaced: 0, kept: 0, invalid: 0 };
+    sections[name][outcome]++;
+  };
+  const rows = (name) => (archive[name] ?? []).filter(r => BACKUP_VALIDATORS[name](r) || (count(name, 'invalid'), false));
+
+  // Salons et rôles d'un autre serveur : les références absentes d'ici sont retirées
+  let dropped = 0;
+  const keepChannel = (id) => (id && guild.channels.cache.has(id)) || (id && dropped++, false);
+  const keepRole    = (id) => guild.roles.cache.has(id) || (dropped++, false);
+
+  const write = db.transaction(() => {
+    if (archive.config) {
+      const exists = !!stmts.getGuildConfig.get(guildId);
+      if (exists && !replace) count('config', 'kept');
+      else {
+        const config = sanitizeBackupConfig(archive.config, getGuildConfig(guildId),
+          { keepChannel, keepRole, onInvalid: () => count('config', 'invalid') });
+        if (apply) saveGuildConfig(config);
+        count('config', exists ? 'replaced' : 'added');
+      }
+    }
+
+    for (const r of rows('blacklist')) {
+      // Échue ou non, une ligne présente est un conflit
+      const exists = !!stmts.getBlacklistEntry.get(r.userId, guildId, 0);
+      if (exists && !replace) { count('blacklist', 'kept'); continue; }
+      if (apply) {
+        stmts.addBlacklist.run(r.userId, guildId, r.addedBy, r.reason ?? null, r.addedAt, r.expiresAt ?? null);
+        scheduleBlacklistExpiry(guildId, r.userId, r.expiresAt ?? null);
+      }
+      count('blacklist', exists ? 'replaced' : 'added');
+    }
+
+    for (const r of rows('stats')) {
+      const exists = !!stmts.getUserStats.get(r.userId, guildId);
+      if (exists && !replace) { count('stats', 'kept'); continue; }
+      if (apply) stmts.restoreStats.run(r.userId, guildId, r.participations, r.wins, r.lastUpdated ?? Date.now());
+      count('stats', exists ? 'replaced' : 'added');
+    }
+
+    let templates = stmts.countTemplates.get(guildId).cnt;
+    for (const r of rows('templates')) {
+      const exists = !!stmts.getTemplate.get(guildId, r.name);
+      if ((exists && !replace) || (!exists && templates >= MAX_TEMPLATES)) { count('templates', 'kept'); continue; }
+      if (apply) stmts.restoreTemplate.run(guildId, r.name, JSON.stringify(r.settings), r.createdBy ?? 'restore', r.createdAt ?? Date.now(), Date.now());
+      if (!exists) templates++;
+      count('templates', exists ? 'replaced' : 'added');
+    }
+
+    // Les identifiants de l'historique changent : parentId et réclamations suivent la correspondance
+    const historyIds = new Map();
+    for (const r of rows('history')) {
+      const duplicate = stmts.findHistoryDuplicate.get(guildId, r.drawHash ?? null, r.messageId ?? null, r.endedAt);
+      if (duplicate) { historyIds.set(r.id, duplicate.id); count('history', 'kept'); continue; }
+      count('history', 'added');
+      // Simulation : la ligne n'est pas insérée, ses réclamations comptent tout de même
+      if (!apply) { historyIds.set(r.id, -1); continue; }
+      const id = stmts.insertHistory.run(
+        guildId, r.channelId ?? '', r.prix, r.organizer, r.participants ?? 0, r.participantsList ?? '[]', r.winners,
+        r.drawHash ?? null, r.endedAt, r.seed ?? null, r.seedCommit ?? null, r.pool ?? null,
+        r.messageId ?? null, r.threadId ?? null, historyIds.get(r.parentId) ?? null, r.drawSalt ?? null,
+        r.commentaire ?? null, r.image ?? null, r.settings ?? null, null
+      ).lastInsertRowid;
+      historyIds.set(r.id, Number(id));
+    }
+
+    const claimJobs = new Set();
+    for (const r of rows('claims')) {
+      const historyId = historyIds.get(r.historyId);
+      if (!historyId || (historyId > 0 && stmts.getClaim.get(historyId, r.userId))) { count('claims', 'kept'); continue; }
+      count('claims', 'added');
+      if (!apply) continue;
+      stmts.restoreClaim.run(historyId, r.userId, guildId, r.status, r.deadline ?? null, r.claimedAt ?? null, Date.now());
+      if (r.status === 'pending' && r.deadline) claimJobs.add(historyId);
+    }
+    return claimJobs;
+  });
+
+  for (const id of write()) armClaimJob(id);
+
+  // Giveaways actifs : remis en route sur leur message, ou republiés s'il a disparu
+  const giveaways = { restored: 0, reposted: 0, replaced: 0, kept: 0, ended: 0, invalid: 0, failed: 0 };
+  for (const raw of archive.giveaways ?? []) {
+    const r = BACKUP_VALIDATORS.giveaways(raw) ? sanitizeBackupGiveaway(raw, keepRole) : null;
+    if (!r) { giveaways.invalid++; continue; }
+    // Un giveaway déjà republié a changé de message : il garde l'identifiant de son message d'origine
+    const origin  = r.restoredFrom ?? r.messageId;
+    const current = giveawaysCache.keys().map(k => giveawaysCache.get(k))
+      .find(g => g?.guildId === guildId && (g.messageId === r.messageId || g.restoredFrom === origin));
+    const exists = !!current;
+    if (exists && !replace) { giveaways.kept++; continue; }
+    if (!r.scheduledStart && !r.pausedAt && r.endTime <= Date.now()) { giveaways.ended++; continue; }
+
+    // Nouvel engagement, sauf pour un giveaway encore en place dont la graine n'a jamais quitté le serveur
+    const seed     = current ? { drawSeed: current.drawSeed, seedCommit: current.seedCommit } : createSeedCommitment();
+    const giveaway = {
+      ...r, ...seed, guildId, seriesId: null, restoredFrom: origin,
+      messageId: current?.messageId ?? r.messageId, channelId: current?.channelId ?? r.channelId
+    };
+    const channel  = await clientInstance.channels.fetch(giveaway.channelId).catch(() => null);
+    let message    = channel?.guildId === guildId ? await channel.messages.fetch(giveaway.messageId).catch(() => null) : null;
+    const outcome  = exists ? 'replaced' : message ? 'restored' : 'reposted';
+    if (!apply) { giveaways[outcome]++; continue; }
+
+    // Les données sont déjà importées : un giveaway qui échoue ne doit pas interrompre les suivants
+    try {
+      const payload = {
+        components: [giveaway.scheduledStart
+          ? createScheduledContainer(giveaway, formatDuration(giveaway.duration), guild)
+          : createGiveawayContainer(giveaway, guild)],
+        flags: [MessageFlags.IsComponentsV2]
+      };
+      if (!message) {
+        message = await postGiveawayMessage(channel?.guildId === guildId ? channel : fallbackChannel, payload, { name: giveaway.prix });
+        giveaway.messageId = message.id;
+        giveaway.channelId = message.channelId;
+      }
+      saveGiveaway(giveaway);
+      if (giveaway.scheduledStart) {
+        await message.edit(payload).catch(() => {});
+        scheduleGiveawayStart(giveaway);
+      } else await startClassicCountdown(message, giveaway);
+      giveaways[outcome]++;
+    } catch (e) {
+      console.error(`Restauration du giveaway ${r.messageId}:`, e);
+      giveaways.failed++;
+    }
+  }
+
+  return { sections, dropped, giveaways };
+}
 
-  target.endTime = Date.now() - 1;
-  giveawaysCache.set(target.messageId, target);
-  await endClassicGiveaway(message, target);
-  await interaction.editReply({ content: '<:Valider:1407373060784521287> Giveaway terminé manuellement.' });
+const BACKUP_SECTION_LABELS = {
+  config: 'Configuration', blacklist: 'Blacklist', stats: 'Statistiques', templates: 'Modèles', history: 'Historique', claims: 'Réclamations'
+};
+
+function formatRestoreReport({ sections, dropped, giveaways }, replace) {
+  const lines = Object.entries(BACKUP_SECTION_LABELS).filter(([key]) => sections[key]).map(([key, label]) => {
+    const s = sections[key];
+    return `• **${label} :** ${s.added} ajouté(s)` + (s.replaced ? `, ${s.replaced} remplacé(s)` : '') +
+      (s.kept ? `, ${s.kept} ${replace || key === 'history' || key === 'claims' ? 'ignoré(s)' : 'conservé(s)'}` : '') +
+      (s.invalid ? `, ⚠️ ${s.invalid} invalide(s)` : '');
+  });
+  const g = giveaways;
+  if (Object.values(g).some(Boolean))
+    lines.push(`• **Giveaways actifs :** ${g.restored} repris, ${g.reposted} republié(s)` + (g.replaced ? `, ${g.replaced} remplacé(s)` : '') +
+      (g.kept ? `, ${g.kept} conservé(s)` : '') + (g.ended ? `, ${g.ended} terminé(s) entre-temps` : '') + (g.invalid ? `, ⚠️ ${g.invalid} invalide(s)` : '') +
+      (g.failed ? `, ⚠️ ${g.failed} en échec (salon inaccessible ?)` : ''));
+  if (dropped) lines.push(`• ⚠️ ${dropped} salon(s) ou rôle(s) absents de ce serveur retirés`);
+  return lines.join('\n') || 'Archive vide.';
 }
 
-async function handleReroll(interaction) {
-  const hash = interaction.options.getString('hash');
-  const row  = stmts.getHistoryByHash.get(hash.toUpperCase(), interaction.guildId);
-  if (!row) return interaction.editReply({ content: `<:Erreur:1407372995176960132> Historique introuvable.` });
-  if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageMessages) && interaction.user.id !== row.organizer)
-    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permissions insuffisantes.' });
+async function handleBackup(interaction) {
+  if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild))
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permission ManageGuild requise.' });
 
-  const participants = JSON.parse(row.participantsList || '[]');
-  if (!participants.length) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Aucun participant.' });
+  const archive = buildGuildBackup(interaction.guildId);
+  let buffer    = Buffer.from(JSON.stringify(archive, null, 2));
+  let fileName  = `sauvegarde-${interaction.guildId}-${new Date(archive.createdAt).toISOString().slice(0, 10)}.json`;
+  if (buffer.length > EXPORT_MAX_BYTES) {
+    buffer = gzipSync(buffer);
+    fileName += '.gz';
+  }
+  if (buffer.length > EXPORT_MAX_BYTES) throw new Error('Sauvegarde trop volumineuse pour être envoyée sur Discord, même compressée.');
 
-  const newWinners   = selectWinners(participants, 1);
-  const winnerMember = newWinners[0] ? interaction.guild.members.cache.get(newWinners[0]) : null;
+  auditLog(interaction.guildId, 'BACKUP_CREATE', interaction.user.id, null, { bytes: buffer.length });
 
   const container = createInfoContainer(
-    '🔄 Nouveau Tirage (Reroll) !',
-    winnerMember
-      ? `**🏆 Nouveau gagnant :** <@${winnerMember.id}>\n\n**🎁 Prix :** ${sanitize(row.prix)}`
-      : '🥺 Impossible de sélectionner un gagnant.',
-    COLORS.green
+    '💾 Sauvegarde',
+    `**Historique :** ${archive.history.length} — **Giveaways actifs :** ${archive.giveaways.length}\n` +
+    `**Blacklist :** ${archive.blacklist.length} — **Statistiques :** ${archive.stats.length} — **Modèles :** ${archive.templates.length}\n\n` +
+    `*Format ${BACKUP_FORMAT} v${BACKUP_VERSION}. Réimportez-la avec \`/giveaway restore\`.*`,
+    COLORS.blue
   );
+  container.addFileComponents(new FileBuilder().setURL(`attachment://${fileName}`));
 
   await interaction.editReply({
     components: [container],
+    files: [new AttachmentBuilder(buffer, { name: fileName })],
     flags: [MessageFlags.IsComponentsV2]
   });
-  auditLog(interaction.guildId, 'GIVEAWAY_REROLL', interaction.user.id, null, { newWinners });
 }
 
-async function handleList(interaction) {
-  const active = giveawaysCache.keys()
-    .map(k => giveawaysCache.get(k))
-    .filter(g => g?.guildId === interaction.guildId)
-    .sort((a, b) => a.endTime - b.endTime);
+async function handleRestore(interaction) {
+  if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild))
+    return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permission ManageGuild requise.' });
 
-  if (!active.length) return interaction.editReply({ content: '📭 Aucun giveaway actif.' });
+  const file    = interaction.options.getAttachment('archive');
+  const replace = interaction.options.getString('conflits') === 'replace';
+  const apply   = interaction.options.getBoolean('appliquer') ?? false;
+  if (file.size > BACKUP_MAX_BYTES) throw new Error('Fichier trop volumineux pour une archive de sauvegarde.');
 
-  const lines = active.map(g => {
-    const scheduled = g.scheduledStart && g.scheduledStart > Date.now() ? '📅 ' : '🔴 ';
-    return `${scheduled}**${sanitize(g.prix, 60)}** — fin <t:${toUnix(g.endTime)}:R> — ${g.participants.length} participants`;
-  });
+  const res = await fetch(file.url).catch(() => null);
+  if (!res?.ok) throw new Error('Téléchargement de l\'archive impossible, réessayez.');
+  const archive = parseBackup(Buffer.from(await res.arrayBuffer()));
 
+  const report = await restoreGuildBackup(interaction.guild, archive, { replace, apply, fallbackChannel: interaction.channel });
+  if (apply) auditLog(interaction.guildId, 'BACKUP_RESTORE', interaction.user.id, null, { from: archive.guildId, createdAt: archive.createdAt, replace, ...report });
+
+  const origin = `Archive du <t:${toUnix(archive.createdAt)}:f>` +
+    (archive.guildId !== interaction.guildId ? ` — provient d'un autre serveur (\`${sanitize(String(archive.guildId), 32)}\`)` : '') +
+    ` — conflits : ${replace ? 'l\'archive remplace l\'existant' : 'l\'existant est conservé'}`;
   const container = createInfoContainer(
-    `📋 Giveaways actifs (${active.length})`,
-    lines.join('\n').slice(0, 4000),
-    COLORS.blue
+    apply ? '♻️ Restauration effectuée' : '🔍 Simulation de restauration',
+    `${origin}\n\n${formatRestoreReport(report, replace)}` +
+    (apply ? '' : '\n\n*Aucune donnée modifiée. Relancez avec `appliquer: True` pour importer.*'),
+    apply ? COLORS.green : COLORS.yellow
   );
-
   await interaction.editReply({
     components: [container],
     flags: [MessageFlags.IsComponentsV2]
   });
 }
 
-async function handleInfo(interaction) {
-  const hash = interaction.options.getString('hash');
-  let target = null;
+// Réglages d'un giveaway actif (messageId) ou archivé (hash) pour en faire un modèle
+function findGiveawaySettings(guildId, ref) {
+  const active = findActiveGiveaway(guildId, ref);
+  if (active) return giveawaySettings(active);
+  const hist = stmts.getHistoryByHash.get(ref.toUpperCase(), guildId);
+  if (!hist) return null;
+  // Archives antérieures aux instantanés : la durée et le nombre de gagnants sont à préciser
+  return hist.settings
+    ? JSON.parse(hist.settings)
+    : { prix: hist.prix, commentaire: hist.commentaire, image: hist.image, gagnants: JSON.parse(hist.winners || '[]').length || null };
+}
 
-  for (const key of giveawaysCache.keys()) {
-    const g = giveawaysCache.get(key);
-    if (g?.messageId === hash && g?.guildId === interaction.guildId) { target = g; break; }
-  }
+// Options communes à template save/use ; seules les options renseignées sont retournées
+function readTemplateOverrides(interaction) {
+  const { options } = interaction;
+  const overrides = {
+    prix:         options.getString('prix'),
+    gagnants:     options.getInteger('gagnants'),
+    durée:        options.getString('durée'),
+    roleRequired: options.getRole('role_requis')?.id,
+    roleMention:  options.getRole('role_mention')?.id,
+    commentaire:  options.getString('commentaire'),
+    image:        options.getString('image'),
+  };
+  return Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== null && v !== undefined));
+}
 
-  if (!target) {
-    const hist = stmts.getHistoryByHash.get(hash.toUpperCase(), interaction.guildId);
-    if (!hist) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Hash introuvable dans les giveaways actifs ou l\'historique.' });
-    const winners = JSON.parse(hist.winners || '[]');
-    const container = createInfoContainer(
-      '📜 Historique Giveaway',
-      `**🎁 Prix :** ${sanitize(hist.prix)}\n` +
-      `**👥 Participants :** ${hist.participants}\n` +
-      `**🏆 Gagnant(s) :** ${winners.map(id => `<@${id}>`).join(', ') || 'Aucun'}\n` +
-      `**👤 Organisateur :** <@${hist.organizer}>\n` +
-      `**📅 Terminé :** <t:${toUnix(hist.endedAt)}:f>` +
-      (hist.drawHash ? `\n**🔐 Hash :** \`${hist.drawHash}\`` : ''),
-      COLORS.grey
-    );
+async function handleTemplate(interaction) {
+  const sub  = interaction.options.getSubcommand();
+  const name = interaction.options.getString('nom')?.trim();
+
+  if (sub === 'list') {
+    const rows = stmts.listTemplates.all(interaction.guildId);
+    if (!rows.length) return interaction.editReply({ content: '📭 Aucun modèle enregistré. Utilisez `/giveaway template save`.' });
+    const lines = rows.map(r => {
+      const t = JSON.parse(r.settings);
+      return `• **${sanitize(r.name, 32)}** — ${sanitize(t.prix, 50)} — ${t.gagnants} gagnant(s) — ${t.durée}`;
+    });
+    const container = createInfoContainer(`🗂️ Modèles (${rows.length}/${MAX_TEMPLATES})`, lines.join('\n').slice(0, 4000), COLORS.blue);
     return interaction.editReply({
       components: [container],
       flags: [MessageFlags.IsComponentsV2]
     });
   }
 
-  await interaction.editReply({
-    components: [createGiveawayContainer(target, interaction.guild)],
-    flags: [MessageFlags.IsComponentsV2]
-  });
+  if (sub === 'delete') {
+    if (!stmts.deleteTemplate.run(interaction.guildId, name).changes)
+      return interaction.editReply({ content: `<:Erreur:1407372995176960132> Modèle \`${sanitize(name, 32)}\` introuvable.` });
+    auditLog(interaction.guildId, 'TEMPLATE_DELETE', interaction.user.id, null, { name });
+    return interaction.editReply({ content: `<:Valider:1407373060784521287> Modèle \`${sanitize(name, 32)}\` supprimé.` });
+  }
+
+  if (sub === 'save') {
+    const source = interaction.options.getString('source');
+    const base   = source ? findGiveawaySettings(interaction.guildId, source.trim()) : {};
+    if (!base) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Giveaway source introuvable (messageId d\'un giveaway actif ou hash d\'un giveaway terminé).' });
+
+    const settings = { ...base, ...readTemplateOverrides(interaction) };
+    if (!settings.prix || !settings.gagnants || !settings.durée)
+      throw new Error('Un modèle doit avoir un prix, un nombre de gagnants et une durée.');
+    if (parseDuration(settings.durée) === null)
+      throw new Error('La durée d\'un modèle doit être relative (ex : `2h30`, `1w`), pas une date.');
+    if (settings.image && !isValidImageUrl(settings.image)) settings.image = null;
+
+    const existing = stmts.getTemplate.get(interaction.guildId, name);
+    if (!existing && stmts.countTemplates.get(interaction.guildId).cnt >= MAX_TEMPLATES)
+      throw new Error(`Limite de ${MAX_TEMPLATES} modèles atteinte. Supprimez-en un avec \`/giveaway template delete\`.`);
+
+    stmts.upsertTemplate.run(interaction.guildId, name, JSON.stringify(settings), interaction.user.id, Date.now(), Date.now());
+    auditLog(interaction.guildId, 'TEMPLATE_SAVE', interaction.user.id, null, { name, source: source ?? null, settings });
+    return interaction.editReply({
+      content: `<:Valider:1407373060784521287> Modèle \`${sanitize(name, 32)}\` ${existing ? 'mis à jour' : 'enregistré'} : ` +
+        `${sanitize(settings.prix, 80)} — ${settings.gagnants} gagnant(s) — ${settings.durée}.`
+    });
+  }
+
+  // use : les options données au lancement remplacent celles du modèle
+  const row = stmts.getTemplate.get(interaction.guildId, name);
+  if (!row) return interaction.editReply({ content: `<:Erreur:1407372995176960132> Modèle \`${sanitize(name, 32)}\` introuvable.` });
+  await launchGiveaway(interaction, { ...JSON.parse(row.settings), ...readTemplateOverrides(interaction) }, { template: row.name });
+  await interaction.editReply({ content: `<:Valider:1407373060784521287> **Giveaway créé** depuis le modèle \`${sanitize(row.name, 32)}\` !` });
 }
 
-async function handleHistory(interaction) {
-  const rows = stmts.listHistory.all(interaction.guildId);
-  if (!rows.length) return interaction.editReply({ content: '📭 Aucun giveaway terminé.' });
-  const lines = rows.map(r => {
-    const w = JSON.parse(r.winners || '[]');
-    return `• **${sanitize(r.prix, 50)}** — ${r.participants} participants — ${w.length} gagnant(s) — <t:${toUnix(r.endedAt)}:d>${r.drawHash ? ` — \`${r.drawHash}\`` : ''}`;
-  });
+function readSeriesRule(interaction) {
+  const freq  = interaction.options.getString('rythme');
+  const time  = interaction.options.getString('heure')?.trim();
+  const jour  = interaction.options.getString('jour')?.trim().toLowerCase();
+  const delay = interaction.options.getString('délai');
 
-  const container = createInfoContainer(
-    '📜 Historique (10 derniers)',
-    lines.join('\n').slice(0, 4000),
-    COLORS.grey
-  );
+  if (freq === 'after') {
+    const ms = delay ? parseDuration(delay) : 0;
+    if (ms === null || ms > MAX_DURATION) throw new Error('Délai invalide. Exemples : `10m`, `1h`, `1d`.');
+    return { freq, delay: ms };
+  }
 
-  await interaction.editReply({
-    components: [container],
-    flags: [MessageFlags.IsComponentsV2]
-  });
+  if (!time || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) throw new Error('Indiquez l\'heure au format HH:MM (ex : `18:00`).');
+  if (freq === 'daily') return { freq, time };
+  if (freq === 'weekly') {
+    const weekday = WEEKDAYS.indexOf(jour);
+    if (weekday < 0) throw new Error('Indiquez le jour de la semaine (ex : `vendredi`).');
+    return { freq, time, weekday };
+  }
+  const monthday = Number(jour);
+  if (!Number.isInteger(monthday) || monthday < 1 || monthday > 31) throw new Error('Indiquez le jour du mois (1 à 31).');
+  return { freq, time, monthday };
 }
 
-async function handleVerify(interaction) {
-  const input = interaction.options.getString('hash').trim();
-  const hist = stmts.getHistoryByHash.get(input.toUpperCase(), interaction.guildId);
+async function handleSeries(interaction) {
+  const sub    = interaction.options.getSubcommand();
+  const config = getGuildConfig(interaction.guildId);
 
-  if (!hist) {
+  if (sub === 'list') {
+    const rows = stmts.listSeries.all(interaction.guildId);
+    if (!rows.length) return interaction.editReply({ content: '📭 Aucune série active. Utilisez `/giveaway series create`.' });
+    const lines = rows.map(r => {
+      const settings = JSON.parse(r.settings);
+      const state = r.status === 'paused' ? '⏸️ En pause'
+        : r.nextRunAt ? `prochain <t:${toUnix(r.nextRunAt)}:R>`
+        : r.currentMessageId && giveawaysCache.get(r.currentMessageId) ? '🔴 En cours'
+        : '⏳ En attente';
+      return `• **#${r.id}** — ${sanitize(settings.prix, 50)} — <#${r.channelId}> — ${formatSeriesRule(JSON.parse(r.rule))} — ${r.runCount} lancé(s) — ${state}`;
+    });
+    const container = createInfoContainer(`🔁 Séries de giveaways (${rows.length})`, lines.join('\n').slice(0, 4000), COLORS.blue);
     return interaction.editReply({
-      content: `<:Erreur:1407372995176960132> Hash \`${sanitize(input, 64)}\` introuvable dans l'historique.\n` +
-        `> Utilisez \`/giveaway history\` pour voir les hash des giveaways récents.`
+      components: [container],
+      flags: [MessageFlags.IsComponentsV2]
     });
   }
 
-  const winners      = JSON.parse(hist.winners         || '[]');
-  const participants = JSON.parse(hist.participantsList || '[]');
-  const recomputed   = hashDraw(participants, winners, hist.endedAt);
-  const match        = recomputed === hist.drawHash;
+  if (sub === 'create') {
+    const templateName = interaction.options.getString('modele');
+    const ref          = interaction.options.getString('giveaway')?.trim();
+    if (!templateName === !ref) throw new Error('Indiquez soit un modèle (`modele`), soit un giveaway (`giveaway`).');
+    if (stmts.countSeries.get(interaction.guildId).cnt >= MAX_SERIES)
+      throw new Error(`Limite de ${MAX_SERIES} séries atteinte. Arrêtez-en une avec \`/giveaway series stop\`.`);
+
+    const rule   = readSeriesRule(interaction);
+    const active = ref ? findActiveGiveaway(interaction.guildId, ref) : null;
+    let settings;
+    if (templateName) {
+      const row = stmts.getTemplate.get(interaction.guildId, templateName.trim());
+      if (!row) throw new Error(`Modèle \`${sanitize(templateName, 32)}\` introuvable.`);
+      settings = JSON.parse(row.settings);
+    } else {
+      settings = findGiveawaySettings(interaction.guildId, ref);
+      if (!settings?.durée || !settings.gagnants) throw new Error('Giveaway introuvable, ou archive trop ancienne pour en reprendre les réglages.');
+    }
+    if (active?.seriesId) throw new Error(`Ce giveaway appartient déjà à la série #${active.seriesId}.`);
+
+    const activeChannel = active ? await clientInstance.channels.fetch(active.channelId).catch(() => null) : null;
+    const channelId = activeChannel?.parent?.type === ChannelType.GuildForum ? activeChannel.parentId : active?.channelId ?? interaction.channelId;
+    const seriesId  = Number(stmts.insertSeries.run(interaction.guildId, channelId, JSON.stringify(settings), JSON.stringify(rule), interaction.user.id, Date.now()).lastInsertRowid);
+
+    // Un giveaway actif devient la première instance ; sinon la première part maintenant (après-fin) ou à la prochaine date
+    let firstRun = null;
+    if (active) {
+      active.seriesId = seriesId;
+      saveGiveaway(active);
+      stmts.markSeriesRun.run(active.startTime, active.messageId, seriesId);
+      if (rule.freq !== 'after') firstRun = nextSeriesRun(rule, config.timezone);
+    } else {
+      firstRun = rule.freq === 'after' ? Date.now() : nextSeriesRun(rule, config.timezone);
+    }
+    if (firstRun) scheduleSeries(seriesId, firstRun);
 
-  const container = createInfoContainer(
-    '🔐 Vérification du Tirage',
-    `**🎁 Prix :** ${sanitize(hist.prix)}\n` +
-    `**👥 Participants :** ${hist.participants}\n` +
-    `**🏆 Gagnant(s) :** ${winners.map(id => `<@${id}>`).join(', ') || 'Aucun'}\n\n` +
-    `**🔐 Hash enregistré :** \`${hist.drawHash ?? 'N/A'}\`\n` +
-    `**🔁 Hash recalculé :** \`${recomputed}\`\n\n` +
-    `**Résultat :** ${match ? '✅ Tirage authentique — les données n\'ont pas été modifiées' : '⚠️ Hash différent — les données ont peut-être été altérées'}`,
-    match ? COLORS.green : COLORS.crimson
-  );
+    auditLog(interaction.guildId, 'SERIES_CREATE', interaction.user.id, null, { seriesId, rule, template: templateName ?? null, source: ref ?? null });
+    return interaction.editReply({
+      content: `<:Valider:1407373060784521287> Série **#${seriesId}** créée dans <#${channelId}> : ${formatSeriesRule(rule)}` +
+        (firstRun ? ` — prochain giveaway <t:${toUnix(firstRun)}:R>.` : ' — le prochain giveaway suivra la fin de l\'actuel.')
+    });
+  }
 
-  await interaction.editReply({
-    components: [container],
-    flags: [MessageFlags.IsComponentsV2]
-  });
+  const id     = interaction.options.getInteger('id');
+  const series = stmts.getSeries.get(id);
+  if (!series || series.guildId !== interaction.guildId || series.status === 'stopped')
+    return interaction.editReply({ content: `<:Erreur:1407372995176960132> Série #${id} introuvable.` });
+  const rule = JSON.parse(series.rule);
+
+  if (sub === 'pause') {
+    if (series.status === 'paused') return interaction.editReply({ content: `<:Erreur:1407372995176960132> La série #${id} est déjà en pause.` });
+    stmts.setSeriesStatus.run('paused', id);
+    cancelSeriesJob(id);
+    auditLog(interaction.guildId, 'SERIES_PAUSE', interaction.user.id, null, { seriesId: id });
+    return interaction.editReply({ content: `<:Valider:1407373060784521287> Série #${id} en pause. Le giveaway en cours, s'il y en a un, va jusqu'au bout.` });
+  }
+
+  if (sub === 'resume') {
+    if (series.status === 'active') return interaction.editReply({ content: `<:Erreur:1407372995176960132> La série #${id} n'est pas en pause.` });
+    stmts.setSeriesStatus.run('active', id);
+    const running = series.currentMessageId && giveawaysCache.get(series.currentMessageId);
+    const nextRun = rule.freq !== 'after' ? nextSeriesRun(rule, config.timezone) : running ? null : Date.now();
+    if (nextRun) scheduleSeries(id, nextRun);
+    auditLog(interaction.guildId, 'SERIES_RESUME', interaction.user.id, null, { seriesId: id });
+    return interaction.editReply({
+      content: `<:Valider:1407373060784521287> Série #${id} relancée` +
+        (nextRun ? ` — prochain giveaway <t:${toUnix(nextRun)}:R>.` : ' — le prochain giveaway suivra la fin de l\'actuel.')
+    });
+  }
+
+  // stop : le giveaway en cours se termine normalement, aucun autre n'est créé
+  stmts.setSeriesStatus.run('stopped', id);
+  cancelSeriesJob(id);
+  auditLog(interaction.guildId, 'SERIES_STOP', interaction.user.id, null, { seriesId: id, runCount: series.runCount });
+  await interaction.editReply({ content: `<:Valider:1407373060784521287> Série #${id} arrêtée après ${series.runCount} giveaway(s).` });
 }
 
-async function handleBlacklist(interaction) {
-  const sub = interaction.options.getSubcommand();
-  if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageMessages))
+async function handleBonus(interaction) {
+  const sub    = interaction.options.getSubcommand();
+  const target = findActiveGiveaway(interaction.guildId, interaction.options.getString('hash'));
+  if (!target) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Giveaway introuvable.' });
+  if (interaction.user.id !== target.organizer && !interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild))
     return interaction.editReply({ content: '<:Erreur:1407372995176960132> Permissions insuffisantes.' });
 
+  const { mode, cap } = getBonusOptions(target);
+  target.bonusRoles ??= {};
+
+  if (sub === 'list') {
+    const lines = Object.entries(target.bonusRoles)
+      .map(([r, t]) => `• <@&${r}> → ${t} ticket${t > 1 ? 's' : ''}`);
+    const container = createInfoContainer(
+      '🎟️ Tickets bonus',
+      `**🎁 Prix :** ${sanitize(target.prix)}\n` +
+      `**⚖️ Mode :** ${mode === 'stack' ? 'Cumul' : 'Meilleur rôle'} — plafond ${cap} tickets\n\n` +
+      (lines.join('\n') || 'Aucun rôle bonus.'),
+      COLORS.blue
+    );
+    return interaction.editReply({
+      components: [container],
+      flags: [MessageFlags.IsComponentsV2]
+    });
+  }
+
+  const role = interaction.options.getRole('role');
   if (sub === 'add') {
-    const user   = interaction.options.getUser('utilisateur');
-    const reason = sanitize(interaction.options.getString('raison') ?? '', 256);
-    stmts.addBlacklist.run(user.id, interaction.guildId, interaction.user.id, reason, Date.now());
-    auditLog(interaction.guildId, 'BLACKLIST_ADD', interaction.user.id, user.id, { reason });
-    await interaction.editReply({ content: `<:Valider:1407373060784521287> <@${user.id}> blacklisté.` });
+    const tickets = interaction.options.getInteger('tickets');
+    target.bonusRoles[role.id] = tickets;
+    auditLog(interaction.guildId, 'BONUS_ADD', interaction.user.id, role.id, { messageId: target.messageId, tickets });
   } else {
-    const user = interaction.options.getUser('utilisateur');
-    stmts.removeBlacklist.run(user.id, interaction.guildId);
-    await interaction.editReply({ content: `<:Valider:1407373060784521287> <@${user.id}> retiré de la blacklist.` });
+    if (!(role.id in target.bonusRoles))
+      return interaction.editReply({ content: `<:Erreur:1407372995176960132> <@&${role.id}> n'a pas de bonus sur ce giveaway.` });
+    delete target.bonusRoles[role.id];
+    auditLog(interaction.guildId, 'BONUS_REMOVE', interaction.user.id, role.id, { messageId: target.messageId });
+  }
+  saveGiveaway(target);
+
+  if (!target.scheduledStart) {
+    const message = await fetchGiveawayMessage(target);
+    await message?.edit({
+      components: [createGiveawayContainer(target, interaction.guild)],
+      flags: [MessageFlags.IsComponentsV2]
+    }).catch(() => {});
   }
+
+  await interaction.editReply({
+    content: sub === 'add'
+      ? `<:Valider:1407373060784521287> <@&${role.id}> donne maintenant ${target.bonusRoles[role.id]} tickets.`
+      : `<:Valider:1407373060784521287> Bonus de <@&${role.id}> retiré.`
+  });
 }
 
 async function handleStats(interaction) {
@@ -1467,6 +4561,27 @@ async function handleStats(interaction) {
   });
 }
 
+async function handleInvites(interaction) {
+  const target = interaction.options.getUser('membre') ?? interaction.user;
+  const stats  = getInviteStats(interaction.guildId, target.id);
+  const { inviteMinStay } = getGuildConfig(interaction.guildId);
+
+  const container = createInfoContainer(
+    `📨 Invitations de ${target.username}`,
+    `**✅ Valides :** ${stats.valid ?? 0}\n` +
+    `**⏳ En attente :** ${stats.pending ?? 0}\n` +
+    `**🚪 Partis trop tôt :** ${stats.leftEarly ?? 0}\n` +
+    `**📊 Total :** ${stats.total}\n\n` +
+    `*Une invitation devient valide quand l'invité est resté ${formatDuration(inviteMinStay)} sur le serveur.*`,
+    COLORS.blue
+  );
+
+  await interaction.editReply({
+    components: [container],
+    flags: [MessageFlags.IsComponentsV2]
+  });
+}
+
 async function handleLeaderboard(interaction) {
   const rows = stmts.topWinners.all(interaction.guildId);
   if (!rows.length) return interaction.editReply({ content: '📭 Aucune statistique disponible.' });
@@ -1541,13 +4656,139 @@ async function handleSetup(interaction) {
     saveGuildConfig(config);
     await interaction.editReply({ content: `<:Valider:1407373060784521287> Rappel DM ${enabled ? 'activé' : 'désactivé'}.` });
 
+  } else if (sub === 'bonus_role') {
+    const role    = interaction.options.getRole('role');
+    const action  = interaction.options.getString('action');
+    if (action === 'add') {
+      const tickets = interaction.options.getInteger('tickets');
+      if (!tickets) return interaction.editReply({ content: '<:Erreur:1407372995176960132> Indiquez le nombre de tickets.' });
+      config.bonusRoles[role.id] = tickets;
+      await interaction.editReply({ content: `<:Valider:1407373060784521287> <@&${role.id}> donnera ${tickets} tickets sur les prochains giveaways.` });
+    } else {
+      delete config.bonusRoles[role.id];
+      await interaction.editReply({ content: `<:Valider:1407373060784521287> <@&${role.id}> retiré des bonus par défaut.` });
+    }
+    saveGuildConfig(config);
+
+  } else if (sub === 'bonus_mode') {
+    config.bonusMode = interaction.options.getString('mode');
+    config.bonusCap  = interaction.options.getInteger('plafond') ?? config.bonusCap;
+    saveGuildConfig(config);
+    await interaction.editReply({ content: `<:Valider:1407373060784521287> Mode bonus : ${config.bonusMode === 'stack' ? 'cumul' : 'meilleur rôle'}, plafond ${config.bonusCap} tickets.` });
+
+  } else if (sub === 'duration_limits') {
+    const minInput = interaction.options.getString('min');
+    const maxInput = interaction.options.getString('max');
+    const min = minInput ? parseDuration(minInput) : config.minDuration;
+    const max = maxInput ? parseDuration(maxInput) : config.maxDuration;
+    if (min === null || max === null)
+      return interaction.editReply({ content: '<:Erreur:1407372995176960132> Durée invalide. Exemples : `5m`, `2h30`, `1w2d`.' });
+    if (min < MIN_DURATION || max > DURATION_HARD_MAX || min > max)
+      return interaction.editReply({ content: `<:Erreur:1407372995176960132> Bornes invalides (entre ${formatDuration(MIN_DURATION)} et ${formatDuration(DURATION_HARD_MAX)}, min ≤ max).` });
+    config.minDuration = min;
+    config.maxDuration = max;
+    saveGuildConfig(config);
+    await interaction.editReply({ content: `<:Valider:1407373060784521287> Durée autorisée : de ${formatDuration(min)} à ${formatDuration(max)}.` });
+
+  } else if (sub === 'timezone') {
+    const timezone = interaction.options.getString('fuseau').trim();
+    if (!isValidTimezone(timezone))
+      return interaction.editReply({ content: '<:Erreur:1407372995176960132> Fuseau horaire inconnu. Utilisez un nom IANA, ex : `Europe/Paris`, `America/Montreal`.' });
+    config.timezone = timezone;
+    saveGuildConfig(config);
+    await interaction.editReply({ content: `<:Valider:1407373060784521287> Fuseau horaire : **${timezone}** (il est ${formatInTimezone(Date.now(), timezone)}).` });
+
+  } else if (sub === 'invites') {
+    const input = interaction.options.getString('séjour_min').trim().toLowerCase();
+    const ms = ['0', 'off', 'aucun'].includes(input) ? 0 : parseDuration(input);
+    if (ms === null || ms > MAX_DURATION)
+      return interaction.editReply({ content: `<:Erreur:1407372995176960132> Durée invalide (0 à ${formatDuration(MAX_DURATION)}). Exemples : \`24h\`, \`3d\`.` });
+    config.inviteMinStay = ms;
+    saveGuildConfig(config);
+    await interaction.editReply({ content: ms
+      ? `<:Valider:1407373060784521287> Une invitation compte une fois l'invité resté ${formatDuration(ms)} sur le serveur.`
+      : '<:Valider:1407373060784521287> Les invitations comptent dès l\'arrivée de l\'invité.' });
+
+  } else if (sub === 'claim_deadline') {
+    const input = interaction.options.getString('délai').trim().toLowerCase();
+    if (['off', '0', 'aucun'].includes(input)) {
+      config.claimDeadline = null;
+    } else {
+      const ms = parseDuration(input);
+      if (ms === null || ms < MIN_DURATION || ms > CLAIM_DEADLINE_MAX)
+        return interaction.editReply({ content: `<:Erreur:1407372995176960132> Délai invalide (entre ${formatDuration(MIN_DURATION)} et ${formatDuration(CLAIM_DEADLINE_MAX)}, ou \`off\`).` });
+      config.claimDeadline = ms;
+    }
+    saveGuildConfig(config);
+    await interaction.editReply({ content: config.claimDeadline
+      ? `<:Valider:1407373060784521287> Les gagnants ont ${formatDuration(config.claimDeadline)} pour réclamer leur prix, sinon reroll automatique.`
+      : '<:Valider:1407373060784521287> Délai de réclamation désactivé.' });
+
+  } else if (sub === 'audit_retention') {
+    const input = interaction.options.getString('durée').trim().toLowerCase();
+    const ms = ['0', 'off', 'illimitée', 'illimitee'].includes(input) ? 0 : parseDuration(input);
+    if (ms === null || (ms && (ms < 24 * 60 * 60 * 1000 || ms > AUDIT_RETENTION_MAX)))
+      return interaction.editReply({ content: `<:Erreur:1407372995176960132> Durée invalide (entre 1 j et ${formatDuration(AUDIT_RETENTION_MAX)}, ou \`off\`). Exemples : \`90d\`, \`52w\`.` });
+    config.auditRetention = ms;
+    saveGuildConfig(config);
+    await interaction.editReply({ content: ms
+      ? `<:Valider:1407373060784521287> Les entrées du journal d'audit sont conservées ${formatDuration(ms)}.`
+      : '<:Valider:1407373060784521287> Les entrées du journal d\'audit sont conservées sans limite.' });
+
+  } else if (sub === 'fraud') {
+    const ageInput = interaction.options.getString('âge_min')?.trim().toLowerCase();
+    if (ageInput) {
+      const ms = ['0', 'off', 'aucun'].includes(ageInput) ? 0 : parseDuration(ageInput);
+      if (ms === null || ms > MAX_REQUIRED_AGE)
+        return interaction.editReply({ content: `<:Erreur:1407372995176960132> Âge invalide (jusqu'à ${formatDuration(MAX_REQUIRED_AGE)}, ou \`off\`). Exemples : \`3d\`, \`2w\`.` });
+      config.fraudMinAge = ms;
+    }
+    const avatar = interaction.options.getBoolean('avatar');
+    config.fraudMode   = interaction.options.getString('mode') ?? config.fraudMode;
+    config.fraudAvatar = avatar === null ? config.fraudAvatar : (avatar ? 1 : 0);
+    config.fraudBurst  = interaction.options.getInteger('rafale') ?? config.fraudBurst;
+    config.fraudDraw   = interaction.options.getString('tirage') ?? config.fraudDraw;
+    saveGuildConfig(config);
+    const noLog = config.fraudMode !== 'off' && !config.logChannelId
+      ? '\n<:Attention:1407372958501965914> Aucun canal de logs : la file de vérification ne sera pas publiée (`/giveaway setup log_channel`).' : '';
+    await interaction.editReply({ content: `<:Valider:1407373060784521287> Anti-fraude : ${formatFraudSettings(config)}.${noLog}` });
+
+  } else if (sub === 'activity') {
+    config.activityMinLength = interaction.options.getInteger('longueur_min') ?? config.activityMinLength;
+    config.activityPerMinute = interaction.options.getInteger('max_par_minute') ?? config.activityPerMinute;
+    saveGuildConfig(config);
+    const off = ACTIVITY_TRACKING ? '' : `\n<:Attention:1407372958501965914> ${ACTIVITY_DISABLED}`;
+    await interaction.editReply({ content: `<:Valider:1407373060784521287> Messages comptés : ${config.activityMinLength} caractères minimum, ${config.activityPerMinute} par minute maximum.${off}` });
+
+  } else if (sub === 'activity_channel') {
+    const channel = interaction.options.getChannel('canal');
+    const action  = interaction.options.getString('action');
+    if (action === 'add') {
+      if (!config.activityChannels.includes(channel.id)) config.activityChannels.push(channel.id);
+      await interaction.editReply({ content: `<:Valider:1407373060784521287> Les messages de <#${channel.id}> sont comptés.` });
+    } else {
+      config.activityChannels = config.activityChannels.filter(id => id !== channel.id);
+      await interaction.editReply({ content: `<:Valider:1407373060784521287> <#${channel.id}> retiré des salons comptés.` });
+    }
+    saveGuildConfig(config);
+
   } else if (sub === 'view') {
+    const bonusDefaults = Object.entries(config.bonusRoles).map(([r, t]) => `<@&${r}> (${t})`);
     const lines = [
       `**📢 Canal de logs :** ${config.logChannelId ? `<#${config.logChannelId}>` : 'Non défini'}`,
       `**📌 Canaux autorisés :** ${config.allowedChannels.length ? config.allowedChannels.map(id => `<#${id}>`).join(', ') : 'Tous'}`,
       `**👑 Rôles autorisés :** ${config.allowedRoles.length ? config.allowedRoles.map(id => `<@&${id}>`).join(', ') : 'Tous (ManageMessages)'}`,
       `**🔢 Max simultanés :** ${config.maxConcurrent}`,
       `**💌 Rappel DM :** ${config.dmReminder ? '✅ Activé' : '❌ Désactivé'}`,
+      `**🎟️ Rôles bonus :** ${bonusDefaults.length ? bonusDefaults.join(', ') : 'Aucun'}`,
+      `**⚖️ Mode bonus :** ${config.bonusMode === 'stack' ? 'Cumul' : 'Meilleur rôle'} — plafond ${config.bonusCap}`,
+      `**⏱️ Durée autorisée :** ${formatDuration(config.minDuration)} → ${formatDuration(config.maxDuration)}`,
+      `**🌍 Fuseau horaire :** ${config.timezone} (${formatInTimezone(Date.now(), config.timezone)})`,
+      `**📬 Délai de réclamation :** ${config.claimDeadline ? formatDuration(config.claimDeadline) : 'Aucun'}`,
+      `**📨 Séjour minimum d'un invité :** ${config.inviteMinStay ? formatDuration(config.inviteMinStay) : 'Aucun'}`,
+      `**🗒️ Rétention de l'audit :** ${config.auditRetention ? formatDuration(config.auditRetention) : 'Illimitée'}`,
+      `**🕵️ Anti-fraude :** ${formatFraudSettings(config)}`,
+      `**💬 Messages comptés :** ${config.activityChannels.length ? config.activityChannels.map(id => `<#${id}>`).join(', ') : 'Tous les salons'} — ${config.activityMinLength} car. min, ${config.activityPerMinute}/min max`,
     ];
     const container = createInfoContainer(
       '⚙️ Configuration Giveaway',
@@ -1569,50 +4810,139 @@ async function handleSetup(interaction) {
 
 // ==================== COMMANDES SLASH ====================
 
+// Conditions de participation, partagées par create, schedule et drop
+const withEntryConditionOptions = sub => sub
+  .addStringOption(o => o.setName('roles_un_de').setDescription('Au moins un de ces rôles (mentions)').setRequired(false).setMaxLength(300))
+  .addStringOption(o => o.setName('roles_tous').setDescription('Tous ces rôles (mentions)').setRequired(false).setMaxLength(300))
+  .addStringOption(o => o.setName('roles_exclus').setDescription('Rôles exclus (mentions)').setRequired(false).setMaxLength(300))
+  .addStringOption(o => o.setName('age_compte').setDescription('Âge minimum du compte Discord (ex: 30d)').setRequired(false).setMaxLength(32))
+  .addStringOption(o => o.setName('anciennete').setDescription('Présence minimale sur le serveur (ex: 7d)').setRequired(false).setMaxLength(32))
+  .addBooleanOption(o => o.setName('boosters').setDescription('Réservé aux boosters du serveur').setRequired(false))
+  .addIntegerOption(o => o.setName('messages_min').setDescription('Messages minimum pour participer').setRequired(false).setMinValue(1).setMaxValue(10000))
+  .addStringOption(o => o.setName('messages_periode').setDescription('Période comptée (ex: 7d), défaut : depuis le début').setRequired(false).setMaxLength(32))
+  .addIntegerOption(o => o.setName('invites_min').setDescription('Invitations valides minimum pour participer').setRequired(false).setMinValue(1).setMaxValue(1000));
+
+// Conditions et tickets d'activité, partagés par create et schedule
+const withRequirementOptions = sub => withEntryConditionOptions(sub)
+  .addIntegerOption(o => o.setName('bonus_invites').setDescription('+1 ticket toutes les N invitations valides').setRequired(false).setMinValue(1).setMaxValue(1000))
+  .addIntegerOption(o => o.setName('bonus_messages').setDescription('+1 ticket tous les N messages pendant le giveaway').setRequired(false).setMinValue(1).setMaxValue(10000));
+
+// Réglages d'un modèle, facultatifs : ils complètent (save) ou remplacent (use) le modèle
+const withTemplateOptions = sub => sub
+  .addStringOption(o => o.setName('prix').setDescription('Le prix').setRequired(false).setMaxLength(MAX_PRIX_LENGTH))
+  .addIntegerOption(o => o.setName('gagnants').setDescription('Nombre de gagnants').setRequired(false).setMinValue(1).setMaxValue(20))
+  .addStringOption(o => o.setName('durée').setDescription('Durée (45m, 2h30, 1w2d)').setRequired(false).setMaxLength(32))
+  .addRoleOption(o => o.setName('role_requis').setDescription('Rôle requis').setRequired(false))
+  .addRoleOption(o => o.setName('role_mention').setDescription('Rôle à mentionner').setRequired(false))
+  .addStringOption(o => o.setName('commentaire').setDescription('Commentaire').setRequired(false).setMaxLength(MAX_COMMENT_LENGTH))
+  .addStringOption(o => o.setName('image').setDescription('URL image').setRequired(false));
+
 const giveawayCommand = {
   data: new SlashCommandBuilder()
     .setName('giveaway')
     .setDescription('Système de giveaways avancé')
 
-    .addSubcommand(sub => sub.setName('create').setDescription('Créer un giveaway')
+    .addSubcommand(sub => withRequirementOptions(sub.setName('create').setDescription('Créer un giveaway')
       .addStringOption(o => o.setName('prix').setDescription('Le prix').setRequired(true).setMaxLength(MAX_PRIX_LENGTH))
       .addIntegerOption(o => o.setName('gagnants').setDescription('Nombre de gagnants').setRequired(true).setMinValue(1).setMaxValue(20))
-      .addStringOption(o => o.setName('durée').setDescription('Durée').setRequired(true).addChoices(
-        {name:'5 minutes',value:'5m'},{name:'10 minutes',value:'10m'},{name:'30 minutes',value:'30m'},
-        {name:'1 heure',value:'1h'},{name:'3 heures',value:'3h'},{name:'5 heures',value:'5h'},
-        {name:'1 jour',value:'1d'},{name:'3 jours',value:'3d'},{name:'5 jours',value:'5d'},{name:'1 semaine',value:'1w'}
-      ))
+      .addStringOption(o => o.setName('durée').setDescription('Durée (45m, 2h30, 1w2d) ou fin JJ/MM/AAAA HH:MM').setRequired(true).setMaxLength(32))
       .addRoleOption(o => o.setName('role_requis').setDescription('Rôle requis').setRequired(false))
       .addRoleOption(o => o.setName('role_mention').setDescription('Rôle à mentionner').setRequired(false))
       .addStringOption(o => o.setName('commentaire').setDescription('Commentaire').setRequired(false).setMaxLength(MAX_COMMENT_LENGTH))
       .addStringOption(o => o.setName('image').setDescription('URL image').setRequired(false))
-    )
+      .addStringOption(o => o.setName('paliers').setDescription('Paliers dans l\'ordre : Nitro x1; Clé Steam x2; Rôle VIP x7').setRequired(false).setMaxLength(500))
+      .addStringOption(o => o.setName('question').setDescription('Quiz : question posée pour participer').setRequired(false).setMaxLength(200))
+      .addStringOption(o => o.setName('reponses').setDescription('Quiz : réponses acceptées, séparées par |').setRequired(false).setMaxLength(300))
+      .addChannelOption(o => o.setName('salon').setDescription('Salon de publication (défaut : ici)').setRequired(false)
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+      .addBooleanOption(o => o.setName('crosspost').setDescription('Salon d\'annonces : publier aux abonnés').setRequired(false))
+    ))
+
+    .addSubcommand(sub => sub.setName('wizard').setDescription('Créer un giveaway pas à pas, avec aperçu'))
+
+    .addSubcommand(sub => withEntryConditionOptions(sub.setName('drop').setDescription('Drop : les premiers à cliquer gagnent')
+      .addStringOption(o => o.setName('prix').setDescription('Le prix').setRequired(true).setMaxLength(MAX_PRIX_LENGTH))
+      .addIntegerOption(o => o.setName('gagnants').setDescription('Nombre de lots').setRequired(true).setMinValue(1).setMaxValue(20))
+      .addStringOption(o => o.setName('durée').setDescription('Expiration si des lots restent (45m, 2h30, 1d)').setRequired(true).setMaxLength(32))
+      .addStringOption(o => o.setName('question').setDescription('Quiz : les premières bonnes réponses gagnent').setRequired(false).setMaxLength(200))
+      .addStringOption(o => o.setName('reponses').setDescription('Quiz : réponses acceptées, séparées par |').setRequired(false).setMaxLength(300))
+      .addRoleOption(o => o.setName('role_requis').setDescription('Rôle requis').setRequired(false))
+      .addRoleOption(o => o.setName('role_mention').setDescription('Rôle à mentionner').setRequired(false))
+      .addStringOption(o => o.setName('commentaire').setDescription('Commentaire').setRequired(false).setMaxLength(MAX_COMMENT_LENGTH))
+      .addStringOption(o => o.setName('image').setDescription('URL image').setRequired(false))
+      .addChannelOption(o => o.setName('salon').setDescription('Salon de publication (défaut : ici)').setRequired(false)
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+      .addBooleanOption(o => o.setName('crosspost').setDescription('Salon d\'annonces : publier aux abonnés').setRequired(false))
+    ))
 
-    .addSubcommand(sub => sub.setName('schedule').setDescription('Planifier un giveaway')
+    .addSubcommand(sub => withRequirementOptions(sub.setName('schedule').setDescription('Planifier un giveaway')
       .addStringOption(o => o.setName('prix').setDescription('Le prix').setRequired(true).setMaxLength(MAX_PRIX_LENGTH))
       .addIntegerOption(o => o.setName('gagnants').setDescription('Nombre de gagnants').setRequired(true).setMinValue(1).setMaxValue(20))
-      .addStringOption(o => o.setName('durée').setDescription('Durée du giveaway').setRequired(true).addChoices(
-        {name:'5 minutes',value:'5m'},{name:'10 minutes',value:'10m'},{name:'30 minutes',value:'30m'},
-        {name:'1 heure',value:'1h'},{name:'3 heures',value:'3h'},{name:'5 heures',value:'5h'},
-        {name:'1 jour',value:'1d'},{name:'3 jours',value:'3d'},{name:'5 jours',value:'5d'},{name:'1 semaine',value:'1w'}
-      ))
-      .addStringOption(o => o.setName('debut').setDescription('Date/heure de début (JJ/MM/AAAA HH:MM)').setRequired(true))
+      .addStringOption(o => o.setName('durée').setDescription('Durée (45m, 2h30, 1w2d) ou fin JJ/MM/AAAA HH:MM').setRequired(true).setMaxLength(32))
+      .addStringOption(o => o.setName('debut').setDescription('Début JJ/MM/AAAA HH:MM (fuseau du serveur)').setRequired(true))
       .addRoleOption(o => o.setName('role_requis').setDescription('Rôle requis').setRequired(false))
       .addRoleOption(o => o.setName('role_mention').setDescription('Rôle à mentionner').setRequired(false))
       .addStringOption(o => o.setName('commentaire').setDescription('Commentaire').setRequired(false).setMaxLength(MAX_COMMENT_LENGTH))
-    )
+      .addStringOption(o => o.setName('paliers').setDescription('Paliers dans l\'ordre : Nitro x1; Clé Steam x2; Rôle VIP x7').setRequired(false).setMaxLength(500))
+      .addChannelOption(o => o.setName('salon').setDescription('Salon de publication (défaut : ici)').setRequired(false)
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+      .addBooleanOption(o => o.setName('crosspost').setDescription('Salon d\'annonces : publier aux abonnés').setRequired(false))
+    ))
 
     .addSubcommand(sub => sub.setName('end').setDescription('Terminer un giveaway immédiatement')
       .addStringOption(o => o.setName('hash').setDescription('Hash ou messageId du giveaway').setRequired(true))
     )
-    .addSubcommand(sub => sub.setName('reroll').setDescription('Retirer un nouveau gagnant')
+    .addSubcommand(sub => sub.setName('edit').setDescription('Modifier un giveaway en cours ou planifié')
+      .addStringOption(o => o.setName('hash').setDescription('MessageId du giveaway').setRequired(true))
+      .addStringOption(o => o.setName('prix').setDescription('Nouveau prix').setRequired(false).setMaxLength(MAX_PRIX_LENGTH))
+      .addIntegerOption(o => o.setName('gagnants').setDescription('Nouveau nombre de gagnants').setRequired(false).setMinValue(1).setMaxValue(20))
+      .addStringOption(o => o.setName('fin').setDescription('Nouvelle fin : +2h, -30m, 3h ou JJ/MM/AAAA HH:MM').setRequired(false).setMaxLength(32))
+      .addRoleOption(o => o.setName('role_requis').setDescription('Nouveau rôle requis').setRequired(false))
+      .addBooleanOption(o => o.setName('retirer_role').setDescription('Retirer le rôle requis').setRequired(false))
+      .addStringOption(o => o.setName('commentaire').setDescription('Nouveau commentaire').setRequired(false).setMaxLength(MAX_COMMENT_LENGTH))
+      .addStringOption(o => o.setName('image').setDescription('Nouvelle URL image').setRequired(false))
+    )
+    .addSubcommand(sub => sub.setName('pause').setDescription('Geler un giveaway en cours')
+      .addStringOption(o => o.setName('hash').setDescription('MessageId du giveaway').setRequired(true))
+      .addStringOption(o => o.setName('raison').setDescription('Raison (journal)').setRequired(false).setMaxLength(200))
+    )
+    .addSubcommand(sub => sub.setName('resume').setDescription('Reprendre un giveaway en pause')
+      .addStringOption(o => o.setName('hash').setDescription('MessageId du giveaway').setRequired(true))
+    )
+    .addSubcommand(sub => sub.setName('reroll').setDescription('Remplacer un ou plusieurs gagnants')
       .addStringOption(o => o.setName('hash').setDescription('Hash de vérification du giveaway terminé').setRequired(true))
+      .addIntegerOption(o => o.setName('nombre').setDescription('Nombre de gagnants à remplacer (défaut : 1, les derniers)').setMinValue(1).setMaxValue(20))
+      .addUserOption(o => o.setName('gagnant').setDescription('Gagnant précis à remplacer'))
     )
     .addSubcommand(sub => sub.setName('list').setDescription('Voir les giveaways actifs'))
     .addSubcommand(sub => sub.setName('info').setDescription('Détails d\'un giveaway')
       .addStringOption(o => o.setName('hash').setDescription('Hash ou messageId du giveaway').setRequired(true))
     )
     .addSubcommand(sub => sub.setName('history').setDescription('Historique des 10 derniers giveaways'))
+    .addSubcommand(sub => sub.setName('export').setDescription('Exporter des données en CSV ou JSON')
+      .addStringOption(o => o.setName('type').setDescription('Données à exporter').setRequired(true).addChoices(
+        { name: 'Historique', value: 'history' }, { name: 'Participants d\'un giveaway', value: 'participants' },
+        { name: 'Statistiques', value: 'stats' }, { name: 'Blacklist', value: 'blacklist' }))
+      .addStringOption(o => o.setName('format').setDescription('CSV (défaut) ou JSON').setRequired(false).addChoices(
+        { name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' }))
+      .addStringOption(o => o.setName('hash').setDescription('Participants : hash ou messageId').setRequired(false))
+      .addStringOption(o => o.setName('du').setDescription('Historique : depuis JJ/MM/AAAA').setRequired(false).setMaxLength(16))
+      .addStringOption(o => o.setName('au').setDescription('Historique : jusqu\'au JJ/MM/AAAA').setRequired(false).setMaxLength(16))
+    )
+    .addSubcommand(sub => sub.setName('audit').setDescription('Consulter le journal d\'audit')
+      .addStringOption(o => o.setName('action').setDescription('Action ou préfixe (ex: BLACKLIST)').setRequired(false).setMaxLength(32))
+      .addUserOption(o => o.setName('acteur').setDescription('Auteur').setRequired(false))
+      .addMentionableOption(o => o.setName('cible').setDescription('Membre ou rôle visé').setRequired(false))
+      .addStringOption(o => o.setName('du').setDescription('Depuis JJ/MM/AAAA').setRequired(false).setMaxLength(16))
+      .addStringOption(o => o.setName('au').setDescription('Jusqu\'au JJ/MM/AAAA').setRequired(false).setMaxLength(16))
+    )
+    .addSubcommand(sub => sub.setName('backup').setDescription('Sauvegarder les données du serveur (JSON)'))
+    .addSubcommand(sub => sub.setName('restore').setDescription('Importer une sauvegarde')
+      .addAttachmentOption(o => o.setName('archive').setDescription('Fichier de /giveaway backup').setRequired(true))
+      .addStringOption(o => o.setName('conflits').setDescription('Données déjà présentes').setRequired(false).addChoices(
+        { name: 'Conserver l\'existant', value: 'keep' }, { name: 'Remplacer', value: 'replace' }))
+      .addBooleanOption(o => o.setName('appliquer').setDescription('Importer (défaut : simulation)').setRequired(false))
+    )
     .addSubcommand(sub => sub.setName('verify').setDescription('Vérifier l\'intégrité d\'un tirage')
       .addStringOption(o => o.setName('hash').setDescription('Hash ou messageId du giveaway').setRequired(true))
     )
@@ -1620,15 +4950,77 @@ const giveawayCommand = {
       .addUserOption(o => o.setName('utilisateur').setDescription('Utilisateur (optionnel)').setRequired(false))
     )
     .addSubcommand(sub => sub.setName('leaderboard').setDescription('Top 10 des gagnants du serveur'))
+    .addSubcommand(sub => sub.setName('invites').setDescription('Voir les invitations d\'un membre')
+      .addUserOption(o => o.setName('membre').setDescription('Membre (optionnel)').setRequired(false))
+    )
+
+    .addSubcommandGroup(g => g.setName('template').setDescription('Modèles de giveaway réutilisables')
+      .addSubcommand(sub => withTemplateOptions(sub.setName('save').setDescription('Enregistrer un modèle')
+        .addStringOption(o => o.setName('nom').setDescription('Nom du modèle').setRequired(true).setMaxLength(32))
+        .addStringOption(o => o.setName('source').setDescription('MessageId d\'un giveaway actif ou hash d\'un giveaway terminé').setRequired(false))
+      ))
+      .addSubcommand(sub => withTemplateOptions(sub.setName('use').setDescription('Lancer un giveaway depuis un modèle')
+        .addStringOption(o => o.setName('nom').setDescription('Nom du modèle').setRequired(true).setMaxLength(32))
+      ))
+      .addSubcommand(sub => sub.setName('list').setDescription('Lister les modèles'))
+      .addSubcommand(sub => sub.setName('delete').setDescription('Supprimer un modèle')
+        .addStringOption(o => o.setName('nom').setDescription('Nom du modèle').setRequired(true).setMaxLength(32))
+      )
+    )
+
+    .addSubcommandGroup(g => g.setName('series').setDescription('Giveaways récurrents')
+      .addSubcommand(sub => sub.setName('create').setDescription('Créer une série à partir d\'un modèle ou d\'un giveaway')
+        .addStringOption(o => o.setName('rythme').setDescription('Quand relancer').setRequired(true)
+          .addChoices(
+            {name:'Après la fin du précédent',value:'after'},
+            {name:'Tous les jours',value:'daily'},
+            {name:'Chaque semaine',value:'weekly'},
+            {name:'Chaque mois',value:'monthly'}
+          )
+        )
+        .addStringOption(o => o.setName('modele').setDescription('Nom du modèle').setRequired(false).setMaxLength(32))
+        .addStringOption(o => o.setName('giveaway').setDescription('MessageId d\'un giveaway actif ou hash d\'un giveaway terminé').setRequired(false))
+        .addStringOption(o => o.setName('heure').setDescription('Heure de lancement HH:MM (fuseau du serveur)').setRequired(false).setMaxLength(5))
+        .addStringOption(o => o.setName('jour').setDescription('Jour de la semaine (vendredi) ou du mois (1-31)').setRequired(false).setMaxLength(10))
+        .addStringOption(o => o.setName('délai').setDescription('Après la fin : délai avant le suivant (ex: 1h)').setRequired(false).setMaxLength(32))
+      )
+      .addSubcommand(sub => sub.setName('list').setDescription('Lister les séries'))
+      .addSubcommand(sub => sub.setName('pause').setDescription('Mettre une série en pause')
+        .addIntegerOption(o => o.setName('id').setDescription('Numéro de la série').setRequired(true).setMinValue(1))
+      )
+      .addSubcommand(sub => sub.setName('resume').setDescription('Relancer une série en pause')
+        .addIntegerOption(o => o.setName('id').setDescription('Numéro de la série').setRequired(true).setMinValue(1))
+      )
+      .addSubcommand(sub => sub.setName('stop').setDescription('Arrêter définitivement une série')
+        .addIntegerOption(o => o.setName('id').setDescription('Numéro de la série').setRequired(true).setMinValue(1))
+      )
+    )
 
     .addSubcommandGroup(g => g.setName('blacklist').setDescription('Gestion de la blacklist')
       .addSubcommand(sub => sub.setName('add').setDescription('Blacklister un utilisateur')
         .addUserOption(o => o.setName('utilisateur').setDescription('Utilisateur').setRequired(true))
         .addStringOption(o => o.setName('raison').setDescription('Raison').setRequired(false).setMaxLength(256))
+        .addStringOption(o => o.setName('durée').setDescription('Durée (ex: 7d), défaut : permanent').setRequired(false).setMaxLength(32))
       )
       .addSubcommand(sub => sub.setName('remove').setDescription('Retirer de la blacklist')
         .addUserOption(o => o.setName('utilisateur').setDescription('Utilisateur').setRequired(true))
       )
+      .addSubcommand(sub => sub.setName('list').setDescription('Voir la blacklist'))
+    )
+
+    .addSubcommandGroup(g => g.setName('bonus').setDescription('Tickets bonus d\'un giveaway')
+      .addSubcommand(sub => sub.setName('add').setDescription('Ajouter un rôle bonus')
+        .addStringOption(o => o.setName('hash').setDescription('messageId du giveaway').setRequired(true))
+        .addRoleOption(o => o.setName('role').setDescription('Rôle').setRequired(true))
+        .addIntegerOption(o => o.setName('tickets').setDescription('Tickets pour ce rôle').setRequired(true).setMinValue(2).setMaxValue(MAX_BONUS_TICKETS))
+      )
+      .addSubcommand(sub => sub.setName('remove').setDescription('Retirer un rôle bonus')
+        .addStringOption(o => o.setName('hash').setDescription('messageId du giveaway').setRequired(true))
+        .addRoleOption(o => o.setName('role').setDescription('Rôle').setRequired(true))
+      )
+      .addSubcommand(sub => sub.setName('list').setDescription('Voir les rôles bonus')
+        .addStringOption(o => o.setName('hash').setDescription('messageId du giveaway').setRequired(true))
+      )
     )
 
     .addSubcommandGroup(g => g.setName('setup').setDescription('Configuration du bot')
@@ -1655,12 +5047,62 @@ const giveawayCommand = {
       .addSubcommand(sub => sub.setName('dm_reminder').setDescription('Activer/désactiver le rappel DM')
         .addBooleanOption(o => o.setName('activer').setDescription('Activer ?').setRequired(true))
       )
+      .addSubcommand(sub => sub.setName('bonus_role').setDescription('Rôles bonus par défaut')
+        .addRoleOption(o => o.setName('role').setDescription('Rôle').setRequired(true))
+        .addStringOption(o => o.setName('action').setDescription('Ajouter ou retirer').setRequired(true)
+          .addChoices({name:'Ajouter',value:'add'},{name:'Retirer',value:'remove'})
+        )
+        .addIntegerOption(o => o.setName('tickets').setDescription('Tickets pour ce rôle').setRequired(false).setMinValue(2).setMaxValue(MAX_BONUS_TICKETS))
+      )
+      .addSubcommand(sub => sub.setName('bonus_mode').setDescription('Calcul des tickets bonus')
+        .addStringOption(o => o.setName('mode').setDescription('Mode de calcul').setRequired(true)
+          .addChoices({name:'Meilleur rôle',value:'max'},{name:'Cumul',value:'stack'})
+        )
+        .addIntegerOption(o => o.setName('plafond').setDescription('Tickets max par membre').setRequired(false).setMinValue(1).setMaxValue(MAX_BONUS_TICKETS))
+      )
+      .addSubcommand(sub => sub.setName('duration_limits').setDescription('Durées min/max des giveaways')
+        .addStringOption(o => o.setName('min').setDescription('Durée minimale (ex: 5m)').setRequired(false).setMaxLength(32))
+        .addStringOption(o => o.setName('max').setDescription('Durée maximale (ex: 2w)').setRequired(false).setMaxLength(32))
+      )
+      .addSubcommand(sub => sub.setName('timezone').setDescription('Fuseau horaire des dates saisies')
+        .addStringOption(o => o.setName('fuseau').setDescription('Nom IANA, ex: Europe/Paris').setRequired(true).setMaxLength(64))
+      )
+      .addSubcommand(sub => sub.setName('activity').setDescription('Règles anti-spam du comptage des messages')
+        .addIntegerOption(o => o.setName('longueur_min').setDescription('Caractères minimum pour qu\'un message compte').setRequired(false).setMinValue(0).setMaxValue(200))
+        .addIntegerOption(o => o.setName('max_par_minute').setDescription('Messages comptés par minute au maximum').setRequired(false).setMinValue(1).setMaxValue(60))
+      )
+      .addSubcommand(sub => sub.setName('activity_channel').setDescription('Salons où les messages sont comptés (aucun = tous)')
+        .addChannelOption(o => o.setName('canal').setDescription('Salon').setRequired(true))
+        .addStringOption(o => o.setName('action').setDescription('Ajouter ou retirer').setRequired(true)
+          .addChoices({name:'Ajouter',value:'add'},{name:'Retirer',value:'remove'})
+        )
+      )
+      .addSubcommand(sub => sub.setName('invites').setDescription('Séjour minimum pour qu\'une invitation compte')
+        .addStringOption(o => o.setName('séjour_min').setDescription('Durée (ex: 24h, 3d) ou 0').setRequired(true).setMaxLength(32))
+      )
+      .addSubcommand(sub => sub.setName('claim_deadline').setDescription('Délai pour réclamer un prix avant reroll automatique')
+        .addStringOption(o => o.setName('délai').setDescription('Durée (ex: 48h) ou off').setRequired(true).setMaxLength(32))
+      )
+      .addSubcommand(sub => sub.setName('audit_retention').setDescription('Conservation du journal d\'audit')
+        .addStringOption(o => o.setName('durée').setDescription('Durée (ex: 90d) ou off').setRequired(true).setMaxLength(32))
+      )
+      .addSubcommand(sub => sub.setName('fraud').setDescription('Détection des comptes suspects')
+        .addStringOption(o => o.setName('mode').setDescription('Action').setRequired(false)
+          .addChoices({name:'Désactivé',value:'off'},{name:'Signaler',value:'flag'},{name:'Retenir',value:'reject'})
+        )
+        .addStringOption(o => o.setName('âge_min').setDescription('Âge min du compte (ex: 7d) ou off').setRequired(false).setMaxLength(32))
+        .addBooleanOption(o => o.setName('avatar').setDescription('Signaler l\'avatar par défaut').setRequired(false))
+        .addIntegerOption(o => o.setName('rafale').setDescription('Arrivées ou participations en 10 s (0 = off)').setRequired(false).setMinValue(0).setMaxValue(100))
+        .addStringOption(o => o.setName('tirage').setDescription('Suspects non vérifiés').setRequired(false)
+          .addChoices({name:'Exclus',value:'exclude'},{name:'1 ticket',value:'reduce'})
+        )
+      )
     ),
 
   async execute(interaction) {
     const sub    = interaction.options.getSubcommand(false);
     const group  = interaction.options.getSubcommandGroup(false);
-    const publicCmds = ['list', 'info', 'history', 'verify', 'stats', 'leaderboard'];
+    const publicCmds = ['list', 'info', 'history', 'verify', 'stats', 'leaderboard', 'invites'];
     const needsPerms = group || !publicCmds.includes(sub ?? '');
 
     if (needsPerms && !interaction.member.permissions.has(PermissionsBitField.Flags.ManageMessages)) {
@@ -1670,23 +5112,38 @@ const giveawayCommand = {
     if (!rateLimit(interaction.user.id, 'cmd', COMMAND_CD))
       return interaction.reply({ content: '⏳ Patientez avant de réessayer.', flags: [MessageFlags.Ephemeral] });
 
+    // Le formulaire doit être la première réponse : pas de deferReply pour l'assistant
+    if (sub === 'wizard') return startWizard(interaction);
+
     await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
 
     try {
       if (group === 'blacklist') { await handleBlacklist(interaction); return; }
       if (group === 'setup')     { await handleSetup(interaction);     return; }
+      if (group === 'bonus')     { await handleBonus(interaction);     return; }
+      if (group === 'template')  { await handleTemplate(interaction);  return; }
+      if (group === 'series')    { await handleSeries(interaction);    return; }
 
       switch (sub) {
         case 'create':      await handleClassicGiveaway(interaction); await interaction.editReply({ content: '<:Valider:1407373060784521287> **Giveaway créé !**' }); break;
+        case 'drop':        await handleDropGiveaway(interaction); await interaction.editReply({ content: '<:Valider:1407373060784521287> **Drop lancé !**' }); break;
         case 'schedule':    await handleScheduledGiveaway(interaction); await interaction.editReply({ content: '<:Valider:1407373060784521287> **Giveaway planifié !**' }); break;
         case 'end':         await handleForceEnd(interaction);   break;
+        case 'edit':        await handleEditGiveaway(interaction); break;
+        case 'pause':       await handlePauseGiveaway(interaction, true);  break;
+        case 'resume':      await handlePauseGiveaway(interaction, false); break;
         case 'reroll':      await handleReroll(interaction);     break;
         case 'list':        await handleList(interaction);       break;
         case 'info':        await handleInfo(interaction);       break;
         case 'history':     await handleHistory(interaction);    break;
+        case 'export':      await handleExport(interaction);     break;
+        case 'backup':      await handleBackup(interaction);     break;
+        case 'restore':     await handleRestore(interaction);    break;
+        case 'audit':       await handleAudit(interaction);      break;
         case 'verify':      await handleVerify(interaction);     break;
         case 'stats':       await handleStats(interaction);      break;
         case 'leaderboard': await handleLeaderboard(interaction); break;
+        case 'invites':     await handleInvites(interaction);    break;
         default: await interaction.editReply({ content: '<:Erreur:1407372995176960132> Commande inconnue.' });
       }
     } catch (e) {
@@ -1699,7 +5156,9 @@ const giveawayCommand = {
 // ==================== CLIENT ====================
 
 const client = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.GuildMessageReactions],
+  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.GuildMessageReactions,
+    GatewayIntentBits.GuildMembers, GatewayIntentBits.GuildInvites,
+    ...(ACTIVITY_TRACKING ? [GatewayIntentBits.MessageContent] : [])],
   partials: [Partials.Channel, Partials.Message, Partials.User],
   rest: { timeout: 30000, retries: 3 }, shards: 'auto',
 });
@@ -1721,16 +5180,57 @@ client.on(Events.InteractionCreate, async (interaction) => {
       console.error('Interaction btn:', e);
       if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: '<:Erreur:1407372995176960132> Erreur.', flags: [MessageFlags.Ephemeral] }).catch(()=>{});
     });
+  } else if ((interaction.isModalSubmit() || interaction.isAnySelectMenu()) && interaction.customId.startsWith('wizard:')) {
+    await handleWizardInteraction(interaction).catch(async (e) => {
+      console.error('Interaction wizard:', e);
+      if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: '<:Erreur:1407372995176960132> Erreur.', flags: [MessageFlags.Ephemeral] }).catch(()=>{});
+    });
+  } else if (interaction.isModalSubmit() && interaction.customId.startsWith('quiz:')) {
+    await handleQuizAnswer(interaction).catch(async (e) => {
+      console.error('Interaction modal:', e);
+      if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: '<:Erreur:1407372995176960132> Erreur.', flags: [MessageFlags.Ephemeral] }).catch(()=>{});
+    });
   }
 });
 
+if (ACTIVITY_TRACKING) client.on(Events.MessageCreate, (message) => {
+  try { recordMessage(message); }
+  catch (e) { console.error('MessageCreate:', e); }
+});
+
+client.on(Events.InviteCreate, (invite) => {
+  inviteUses.get(invite.guild?.id)?.set(invite.code, inviteSnapshot(invite));
+});
+
+// Une invitation supprimée ou expirée sort de la photographie ; seule celle que l'arrivée en cours
+// vient d'épuiser y reste, pour que findUsedInvite la retrouve parmi les disparues
+client.on(Events.InviteDelete, (invite) => {
+  const invites = inviteUses.get(invite.guild?.id);
+  const known = invites?.get(invite.code);
+  if (!known) return;
+  const exhausted = known.maxUses > 0 && known.uses + 1 >= known.maxUses;
+  const expired = known.expiresAt !== null && known.expiresAt <= Date.now();
+  if (!exhausted || expired) invites.delete(invite.code);
+});
+
+client.on(Events.GuildMemberAdd, (member) => {
+  trackBurst(`join:${member.guild.id}`, Date.now(), FRAUD_JOIN_MEMORY);
+  recordMemberJoin(member).catch(e => console.error('GuildMemberAdd:', e));
+});
+
+client.on(Events.GuildMemberRemove, (member) => {
+  try { stmts.markInviteLeft.run(Date.now(), member.guild.id, member.id); }
+  catch (e) { console.error('GuildMemberRemove:', e); }
+});
+
 client.on(Events.GuildCreate, async (guild) => {
   updateActivity();
+  await cacheGuildInvites(guild);
 
   try {
     const existing = stmts.getGuildConfig.get(guild.id);
     if (!existing) {
-      stmts.upsertGuildConfig.run(guild.id, null, '[]', '[]', 5, 1, Date.now());
+      saveGuildConfig(getGuildConfig(guild.id));
       console.log(`✅ Config initialisée pour le serveur "${guild.name}" (${guild.id})`);
     }
 
@@ -1761,7 +5261,7 @@ client.on(Events.GuildCreate, async (guild) => {
           `• \`/giveaway setup log_channel #salon\` — Définir un canal de logs\n` +
           `• \`/giveaway setup allow_channel #salon add\` — Restreindre à un canal\n\n` +
           `**📋 Commandes disponibles :**\n` +
-          `\`create\` \`schedule\` \`end\` \`reroll\` \`list\` \`info\` \`history\` \`verify\` \`stats\` \`leaderboard\` \`blacklist\` \`setup\`\n\n` +
+          `\`create\` \`schedule\` \`end\` \`reroll\` \`list\` \`info\` \`history\` \`verify\` \`stats\` \`leaderboard\` \`invites\` \`bonus\` \`blacklist\` \`setup\`\n\n` +
           `Bonne chance à tous vos participants ! 🎉`
         )
       );
@@ -1800,10 +5300,17 @@ client.on(Events.GuildDelete, async (guild) => {
       db.prepare('DELETE FROM audit_log        WHERE guildId = ?').run(gId);
       db.prepare('DELETE FROM guild_config     WHERE guildId = ?').run(gId);
       db.prepare('DELETE FROM user_stats       WHERE guildId = ?').run(gId);
+      db.prepare('DELETE FROM prize_claims     WHERE guildId = ?').run(gId);
+      db.prepare('DELETE FROM message_activity WHERE guildId = ?').run(gId);
+      db.prepare('DELETE FROM invites          WHERE guildId = ?').run(gId);
+      db.prepare('DELETE FROM giveaway_series  WHERE guildId = ?').run(gId);
+      db.prepare('DELETE FROM templates        WHERE guildId = ?').run(gId);
     });
     deleteByGuild(guildId);
 
     guildConfigCache.del(guildId);
+    inviteUses.delete(guildId);
+    inviteQueues.delete(guildId);
 
     console.log(`➖ Bot retiré de : "${guild.name ?? guildId}" — ${cleanedGiveaways} giveaway(s) supprimé(s), toutes les données effacées`);
   } catch (e) {
@@ -1823,10 +5330,11 @@ client.once(Events.ClientReady, async () => {
   } catch (e) { console.error('Enregistrement:', e); }
 
   loadGiveaways();
+  for (const guild of client.guilds.cache.values()) await cacheGuildInvites(guild);
 
   setTimeout(async () => {
     await restartAllGiveaways();
-    setInterval(() => checkExpiredGiveaways().catch(console.error), 2 * 60 * 1000);
+    startJobRunner();
     console.log('✅ Système giveaway opérationnel');
   }, 10000);
 });